@@ -1,8 +1,78 @@
-// 后台脚本 - 处理DeepSeek API请求
+// 后台脚本 - 处理翻译API请求
+importScripts('storage-record.js', 'providers.js', 'request-scheduler.js', 'usage.js', 'translation-cache.js', 'partial-json.js', 'triggers.js', 'languages.js',
+  'model-actions.js', 'prompts.js', 'response-schema.js', 'pronunciation.js', 'lemmatizer.js', 'senses.js', 'learning-stats.js', 'migrations.js', 'vocabulary-io.js', 'vocabulary-store.js');
+
+const translationCache = new TranslationCache();
+const vocabularyStore = new VocabularyStore();
+const requestScheduler = new RequestScheduler();
+const usageTracker = new UsageTracker();
+const lookupLog = new LookupLog();
+
+// 生词本变化后通知所有标签页（重新扫描）和扩展页面（弹窗刷新列表）
+vocabularyStore.subscribe((change) => {
+  const message = { action: 'vocabularyUpdated', change: change };
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, message).catch(() => {
+        // 忽略错误（某些标签页可能没有content script）
+      });
+    });
+  });
+  chrome.runtime.sendMessage(message).catch(() => {
+    // 弹窗未打开
+  });
+});
+
+// 流式翻译使用长连接，气泡关闭时 content.js 断开连接即可取消请求
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'translate-stream') return;
+
+  port.onMessage.addListener((request) => {
+    handleStreamingTranslation(port, request, port.sender?.tab);
+  });
+});
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'translate') {
-    handleTranslation(request, sendResponse);
+    handleTranslation(request, sendResponse, sender.tab);
     return true; // 保持消息通道开放
+  } else if (request.action === 'translateSentence') {
+    handleSentenceTranslation(request, sendResponse, sender.tab);
+    return true;
+  } else if (request.action === 'testProvider') {
+    handleProviderTest(request, sendResponse);
+    return true;
+  } else if (request.action === 'vocabulary') {
+    handleVocabularyRequest(request, sendResponse);
+    return true;
+  } else if (request.action === 'speak') {
+    handleSpeak(request, sendResponse);
+    return true;
+  } else if (request.action === 'getVoices') {
+    // 只列出学习语言的语音，供设置页选择
+    const language = (request.language || DEFAULT_LANGUAGES.source).toLowerCase();
+    chrome.tts.getVoices((voices) => {
+      sendResponse({
+        success: true,
+        data: voices.filter(voice => (voice.lang || '').toLowerCase().startsWith(language))
+      });
+    });
+    return true;
+  } else if (request.action === 'getCacheStats') {
+    translationCache.getStats().then(stats => sendResponse({ success: true, data: stats }));
+    return true;
+  } else if (request.action === 'clearCache') {
+    translationCache.clear().then(() => sendResponse({ success: true }));
+    return true;
+  } else if (request.action === 'getLookupLog') {
+    lookupLog.load().then(events => sendResponse({ success: true, data: events }));
+    return true;
+  } else if (request.action === 'getUsage') {
+    usageTracker.load().then(usage => sendResponse({ success: true, data: usage }));
+    return true;
+  } else if (request.action === 'clearUsage') {
+    usageTracker.clear().then(() => sendResponse({ success: true }));
+    return true;
   }
 });
 
@@ -10,128 +80,61 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * 处理翻译请求的主函数
  * @param {Object} request - 包含text和context的请求对象
  * @param {Function} sendResponse - 响应回调函数
+ * @param {chrome.tabs.Tab} [tab] - 发起请求的标签页（提供网页标题等模板变量）
  */
-async function handleTranslation(request, sendResponse) {
+async function handleTranslation(request, sendResponse, tab) {
   try {
     const { text, context } = request;
+    const languages = await getLanguageSettings();
+    const { prompt, params, scope } = await preparePrompt('word', { text, context, languages, tab });
 
-    // 获取API密钥
-    const result = await new Promise((resolve) => {
-      chrome.storage.sync.get(['deepseek_api_key'], resolve);
-    });
+    // 命中缓存时直接返回，不再请求API
+    const cached = await translationCache.get(text, context, scope);
+    if (cached) {
+      sendResponse({ success: true, data: cached, cached: true });
+      return;
+    }
 
-    const apiKey = result.deepseek_api_key;
-    if (!apiKey) {
+    // 获取当前翻译服务配置
+    const provider = await getActiveProvider();
+    if (provider.requiresApiKey && !provider.apiKey) {
       sendResponse({ success: false, error: 'API密钥未设置' });
       return;
     }
 
-    // 构建提示词 - 要求返回JSON格式
-    const prompt = `你是一个浏览器翻译插件。请翻译以下单词并提供详细信息。
-
-单词: ${text}
-上下文: ${context}
-
-请严格按照以下JSON格式返回，不要包含任何其他内容：
-
-{
-  "word": "原单词",
-  "translation": "词性.翻译",
-  "phonetic": "音标",
-  "explanation": "详细解释",
-  "function_calls": []
-}
-
-如果遇到需要特别提醒用户的情况，请在function_calls中添加alert函数：
-{
-  "word": "retarded",
-  "translation": "adj. 迟钝的",
-  "phonetic": "/rɪˈtɑːdɪd/",
-  "explanation": "retarded 是一个形容词，意思是迟钝的。",
-  "function_calls": [
-    {
-      "name": "alert",
-      "arguments": {
-        "message": "曾用于 “智力迟缓者”，现被认为极不尊重，建议用 person with intellectual disability"
-      }
+    // 超出预算时不再请求API，只使用生词本中已保存的翻译
+    const budgetError = await getBudgetError(provider);
+    if (budgetError) {
+      const saved = await findSavedTranslation(text, context, tab?.url);
+      sendResponse(saved ? { success: true, data: saved, cached: true, offline: true } : { success: false, error: budgetError });
+      return;
     }
-  ]
-}`;
-
-    console.group('🚀');
-    // 输出API调用信息
-    console.log(prompt);
-
-    // 发送请求到DeepSeek API
-    const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: 'deepseek-chat',
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 300,
-        temperature: 0.1
-      })
-    });
 
-    if (!response.ok) {
-      const errorMessage = response.status === 401 ? 'API密钥无效' :
-                          response.status === 429 ? '请求频率超限' :
-                          `API请求失败 (${response.status})`;
-      throw new Error(errorMessage);
-    }
+    const site = usageSite(tab?.url);
+    console.group(`🚀 ${provider.name} (${provider.model})`);
+    let content;
+    try {
+      // 输出API调用信息
+      console.log(prompt);
 
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content;
+      // 发送请求到当前翻译服务
+      content = await scheduleChatCompletion(provider, [{ role: 'user', content: prompt }], params, { site });
 
-    // 输出完整回复
-    console.log('📥', content);
-    console.groupEnd();
+      // 输出完整回复
+      console.log('📥', content);
+    } finally {
+      console.groupEnd();
+    }
 
     if (!content) {
       sendResponse({ success: false, error: 'API响应格式错误' });
       return;
     }
 
-    // 尝试解析JSON响应
-    let parsedResponse;
-    try {
-      // 清理可能的markdown代码块标记
-      const cleanContent = content.replace(/```json\s*|\s*```/g, '').trim();
-      parsedResponse = JSON.parse(cleanContent);
-    } catch (parseError) {
-      console.error('JSON解析失败:', parseError);
-      // 如果JSON解析失败，尝试从文本中提取信息
-      const fallbackResponse = parseFallbackResponse(content, text);
-      parsedResponse = fallbackResponse;
-    }
-
-    // 处理function calls
-    if (parsedResponse.function_calls && parsedResponse.function_calls.length > 0) {
-      for (const funcCall of parsedResponse.function_calls) {
-        if (funcCall.name === 'alert' && funcCall.arguments?.message) {
-          // 在background script中无法直接alert，发送消息到content script
-          chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs[0]) {
-              chrome.tabs.sendMessage(tabs[0].id, {
-                action: 'showAlert',
-                message: funcCall.arguments.message
-              }).catch(() => {
-                // 忽略错误
-              });
-            }
-          });
-        }
-      }
-    }
-
     // 返回成功响应
     sendResponse({ 
       success: true, 
-      data: parsedResponse
+      data: await finishTranslation(content, { provider, prompt, params, text, context, scope, site })
     });
 
   } catch (error) {
@@ -143,52 +146,572 @@ async function handleTranslation(request, sendResponse) {
   }
 }
 
+// 流式输出时逐步显示的字段
+const STREAMED_FIELDS = ['word', 'translation', 'phonetic', 'explanation'];
+
 /**
- * 解析失败时的备用解析函数
- * @param {string} content - API返回的原始内容
- * @param {string} originalWord - 原始单词
- * @returns {Object} 解析后的响应对象
+ * 流式翻译：通过 port 把模型输出中已经出现的字段逐步发给 content.js
+ * content.js 断开 port（关闭气泡）时取消请求
+ * port 消息：{ type: 'partial', data } / { type: 'done', data, cached } / { type: 'error', error }
+ * @param {chrome.runtime.Port} port - content.js 建立的连接
+ * @param {Object} request - 包含text和context的请求对象
+ * @param {chrome.tabs.Tab} [tab] - 发起请求的标签页
  */
-function parseFallbackResponse(content, originalWord) {
-  // 尝试从文本中提取信息
-  const lines = content.split('\n');
-  let translation = '';
-  let explanation = '';
-  let phonetic = '';
+async function handleStreamingTranslation(port, request, tab) {
+  const controller = new AbortController();
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
 
-  for (const line of lines) {
-    if (line.includes('.') && !translation) {
-      translation = line.trim();
-    } else if (line.includes('|') && !explanation) {
-      const parts = line.split('|');
-      if (parts[1]) {
-        explanation = parts[1].trim();
-      }
-    } else if (line.includes('/') && !phonetic) {
-      // 简单的音标检测
-      const phoneticMatch = line.match(/\/[^\/]+\//);
-      if (phoneticMatch) {
-        phonetic = phoneticMatch[0];
-      }
+  const post = (message) => {
+    if (!disconnected) port.postMessage(message);
+  };
+
+  try {
+    const { text, context } = request;
+    const languages = await getLanguageSettings();
+    const { prompt, params, scope } = await preparePrompt('word', { text, context, languages, tab });
+
+    const cached = await translationCache.get(text, context, scope);
+    if (cached) {
+      post({ type: 'done', data: cached, cached: true });
+      return;
+    }
+
+    const provider = await getActiveProvider();
+    if (provider.requiresApiKey && !provider.apiKey) {
+      post({ type: 'error', error: 'API密钥未设置' });
+      return;
+    }
+
+    const budgetError = await getBudgetError(provider);
+    if (budgetError) {
+      const saved = await findSavedTranslation(text, context, tab?.url);
+      post(saved ? { type: 'done', data: saved, cached: true, offline: true } : { type: 'error', error: budgetError });
+      return;
+    }
+
+    const site = usageSite(tab?.url);
+
+    // 分组只包住这次请求的日志，请求失败时也会关闭
+    console.group(`🚀 ${provider.name} (${provider.model}) 流式`);
+    let content;
+    try {
+      console.log(prompt);
+      content = await scheduleStreamCompletion(provider, [{ role: 'user', content: prompt }], params, (delta, received) => {
+        post({ type: 'partial', data: extractPartialFields(received, STREAMED_FIELDS) });
+      }, { signal: controller.signal, site });
+      console.log('📥', content);
+    } finally {
+      console.groupEnd();
+    }
+
+    if (!content) {
+      post({ type: 'error', error: 'API响应格式错误' });
+      return;
     }
+
+    post({
+      type: 'done',
+      data: await finishTranslation(content, { provider, prompt, params, text, context, scope, site, signal: controller.signal })
+    });
+
+  } catch (error) {
+    if (error.name === 'AbortError') return; // 气泡已关闭
+
+    console.error('流式翻译错误:', error);
+    post({ type: 'error', error: error.message || '翻译失败' });
   }
+}
+
+/**
+ * 通过 requestScheduler 调用 chat/completions，相同的请求正在进行时共用一次结果
+ * 超出预算时直接报错；请求完成后记录 token 用量
+ * @param {Object} provider - resolveProviderConfig 返回的配置
+ * @param {Array} messages - 对话消息
+ * @param {Object} params - 额外的模型参数
+ * @param {Object} [options] - { signal, site }，site 为发起请求的网站域名（用于用量统计）
+ * @returns {Promise<string>} 模型返回的文本内容
+ */
+async function scheduleChatCompletion(provider, messages, params = {}, { signal, site = '' } = {}) {
+  await ensureWithinBudget(provider);
+  const key = JSON.stringify([provider.baseUrl, provider.model, messages, params]);
+  return requestScheduler.run(key, async (taskSignal) => {
+    const { content, usage } = await requestChatCompletion(provider, messages, params, taskSignal);
+    await usageTracker.record(provider.id, site, usage);
+    return content;
+  }, { signal });
+}
+
+/**
+ * 通过 requestScheduler 流式调用 chat/completions，合并的请求每个调用方都会收到 onDelta
+ * @param {Object} provider - resolveProviderConfig 返回的配置
+ * @param {Array} messages - 对话消息
+ * @param {Object} params - 额外的模型参数
+ * @param {Function} onDelta - 参数为 (本段内容, 目前为止的全部内容)
+ * @param {Object} [options] - { signal, site }
+ * @returns {Promise<string>} 完整的文本内容
+ */
+async function scheduleStreamCompletion(provider, messages, params, onDelta, { signal, site = '' } = {}) {
+  await ensureWithinBudget(provider);
+  const key = JSON.stringify(['stream', provider.baseUrl, provider.model, messages, params]);
+  return requestScheduler.run(key, async (taskSignal, progress) => {
+    const { content, usage } = await streamChatCompletion(provider, messages, params, progress, taskSignal);
+    await usageTracker.record(provider.id, site, usage);
+    return content;
+  }, { signal, onProgress: onDelta });
+}
+
+/**
+ * 读取设置中的用量配置（单价和预算）
+ * @returns {Promise<Object>} 与 DEFAULT_USAGE_SETTINGS 结构相同
+ */
+function getUsageSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['settings'], (result) => {
+      resolve(resolveUsageSettings(result.settings));
+    });
+  });
+}
+
+/**
+ * 检查每日和每月预算，免费（单价为 0）或未设置单价的提供方不受限制，设置页会提示未设置单价
+ * @param {Object} provider - 当前的提供方配置
+ * @returns {Promise<string|null>} 超出预算时的错误信息
+ */
+async function getBudgetError(provider) {
+  const [usage, usageSettings] = await Promise.all([usageTracker.load(), getUsageSettings()]);
+  const price = usageSettings.prices[provider.id];
+  if (!hasUsagePrice(price) || (!Number(price.prompt) && !Number(price.completion))) return null;
+
+  const exceeded = checkUsageBudget(usage, usageSettings);
+  if (!exceeded) return null;
+
+  const period = exceeded.period === 'daily' ? '今日' : '本月';
+  const spent = formatUsageCost(exceeded.spent, usageSettings.currency);
+  const budget = formatUsageCost(exceeded.budget, usageSettings.currency);
+  return `已达到${period}预算上限（${spent} / ${budget}），只显示缓存和生词本中的翻译`;
+}
 
+async function ensureWithinBudget(provider) {
+  const budgetError = await getBudgetError(provider);
+  if (budgetError) throw new Error(budgetError);
+}
+
+/**
+ * 离线查询：从生词本中取出已保存的翻译，选择最符合当前上下文的义项
+ * @param {string} text - 查询的单词
+ * @param {string} context - 上下文
+ * @param {string} [url] - 网页地址
+ * @returns {Promise<Object|null>} 与模型翻译结果结构相同，生词本中没有时为 null
+ */
+async function findSavedTranslation(text, context, url) {
+  const item = await vocabularyStore.find(text);
+  if (!item) return null;
+
+  const sense = pickSense(item, context, url);
   return {
-    word: originalWord,
-    translation: translation || `${originalWord}的翻译`,
-    phonetic: phonetic || '',
-    explanation: explanation || '',
+    word: item.word,
+    translation: sense.translation,
+    phonetic: item.phonetic || '',
+    explanation: sense.explanation || '',
     function_calls: []
   };
 }
 
-// 监听安装事件，设置默认配置
+/**
+ * 读取设置中的语言配置
+ * @returns {Promise<Object>} { source, target, explanation }
+ */
+function getLanguageSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['settings'], (result) => {
+      resolve(resolveLanguages(result.settings));
+    });
+  });
+}
+
+/**
+ * 读取提示词模板（用户修改过的类型覆盖默认模板）
+ * @returns {Promise<Object>} 与 DEFAULT_PROMPT_TEMPLATES 结构相同
+ */
+function getPromptTemplates() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(['prompt_templates'], (result) => {
+      resolve(resolvePromptTemplates(result.prompt_templates));
+    });
+  });
+}
+
+/**
+ * 按模板生成提示词和模型参数
+ * scope 为语言组合加模板哈希（如 en>zh>zh>1a2b3c4d），作为翻译缓存键的一部分，
+ * 切换语言或修改模板后不会读到旧的翻译
+ * @param {string} type - 模板类型：word / sentence
+ * @param {Object} options - { text, context, languages, tab }，tab 为发起请求的标签页
+ * @returns {Promise<Object>} { prompt, params, scope }
+ */
+async function preparePrompt(type, { text, context, languages, tab }) {
+  const template = (await getPromptTemplates())[type];
+  const variables = buildPromptVariables({
+    text: text,
+    context: context,
+    languages: languages,
+    page: { title: tab?.title, url: tab?.url }
+  });
+
+  const params = { max_tokens: template.max_tokens, temperature: template.temperature };
+  const templateHash = translationCache.hashString(`${template.template}|${params.max_tokens}|${params.temperature}`);
+
+  return {
+    prompt: renderPromptTemplate(template.template, variables),
+    params: params,
+    scope: `${languages.source}>${languages.target}>${languages.explanation}>${templateHash}`
+  };
+}
+
+// 回复不符合格式时最多请模型修正的次数
+const MAX_REPAIR_ATTEMPTS = 1;
+
+/**
+ * 解析并校验模型回复，不符合格式时把错误发回给模型修正，最多 MAX_REPAIR_ATTEMPTS 次
+ * @param {string} content - 模型的第一次回复
+ * @param {Object} options - { provider, prompt, params, schema, site, signal }
+ * @returns {Promise<Object>} 通过校验的数据
+ * @throws {Error} 修正后仍不符合格式
+ */
+async function parseWithRepair(content, { provider, prompt, params, schema, site, signal }) {
+  const messages = [{ role: 'user', content: prompt }];
+  let reply = content;
+
+  for (let attempt = 0; ; attempt++) {
+    let data = null;
+    let errors;
+    try {
+      data = parseModelJson(reply);
+      errors = validateSchema(data, schema);
+    } catch (error) {
+      errors = [`不是有效的 JSON（${error.message}）`];
+    }
+    if (errors.length === 0) return data;
+
+    console.warn(`模型回复不符合格式（第 ${attempt + 1} 次）:`, errors);
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      throw new Error(`模型返回的内容不符合格式：${errors[0]}`);
+    }
+
+    messages.push(
+      { role: 'assistant', content: reply },
+      {
+        role: 'user',
+        content: `你的回复不符合要求：
+${errors.map(error => `- ${error}`).join('\n')}
+
+请按照最初要求的JSON格式重新回复，只返回JSON，不要包含任何其他内容。`
+      }
+    );
+    reply = await scheduleChatCompletion(provider, messages, params, { signal, site });
+    console.log('🔧', reply);
+  }
+}
+
+/**
+ * 校验模型的完整回复，过滤其中的函数调用并写入缓存
+ * @param {string} content - 模型返回的文本
+ * @param {Object} options - { provider, prompt, params, text, context, scope, site, signal }，
+ *   scope 为缓存键的语言和模板部分，见 preparePrompt
+ * @returns {Promise<Object>} 翻译数据
+ * @throws {Error} 回复修正后仍不符合格式（不写入缓存，也不会保存到生词本）
+ */
+async function finishTranslation(content, { provider, prompt, params, text, context, scope, site, signal }) {
+  const parsedResponse = await parseWithRepair(content, {
+    provider: provider,
+    prompt: prompt,
+    params: params,
+    schema: TRANSLATION_SCHEMA,
+    site: site,
+    signal: signal
+  });
+  // 函数调用随翻译结果返回给发起请求的标签页，由 content.js 显示
+  parsedResponse.function_calls = filterModelActions(parsedResponse.function_calls);
+  await translationCache.set(text, context, parsedResponse, scope);
+
+  return parsedResponse;
+}
+
+/**
+ * 翻译整句或整段，并给出语法讲解和值得学习的重点词
+ * 结果不会写入生词本，也不使用单词翻译的缓存
+ * @param {Object} request - 包含text和context的请求对象
+ * @param {Function} sendResponse - 响应回调函数
+ * @param {chrome.tabs.Tab} [tab] - 发起请求的标签页
+ */
+async function handleSentenceTranslation(request, sendResponse, tab) {
+  try {
+    const { text, context } = request;
+    const languages = await getLanguageSettings();
+
+    const provider = await getActiveProvider();
+    if (provider.requiresApiKey && !provider.apiKey) {
+      sendResponse({ success: false, error: 'API密钥未设置' });
+      return;
+    }
+
+    const { prompt, params } = await preparePrompt('sentence', { text, context, languages, tab });
+
+    const site = usageSite(tab?.url);
+    console.group(`🚀 ${provider.name} (${provider.model}) 句子翻译`);
+    let content;
+    try {
+      console.log(prompt);
+      content = await scheduleChatCompletion(provider, [{ role: 'user', content: prompt }], params, { site });
+      console.log('📥', content);
+    } finally {
+      console.groupEnd();
+    }
+
+    if (!content) {
+      sendResponse({ success: false, error: 'API响应格式错误' });
+      return;
+    }
+
+    const parsedResponse = await parseWithRepair(content, {
+      provider: provider,
+      prompt: prompt,
+      params: params,
+      schema: SENTENCE_SCHEMA,
+      site: site
+    });
+
+    sendResponse({ success: true, data: { grammar: [], words: [], ...parsedResponse } });
+
+  } catch (error) {
+    console.error('句子翻译错误:', error);
+    sendResponse({
+      success: false,
+      error: error.message || '翻译失败'
+    });
+  }
+}
+
+/**
+ * 处理生词本操作，所有写入都由 vocabularyStore 依次执行
+ * @param {Object} request - { operation, ...参数 }
+ * @param {Function} sendResponse - 响应回调函数
+ */
+async function handleVocabularyRequest(request, sendResponse) {
+  const operations = {
+    query: () => vocabularyStore.query(),
+    add: () => addVocabularyItem(request.item),
+    update: () => vocabularyStore.update(request.word, request.changes),
+    delete: () => vocabularyStore.remove(request.words || []),
+    clear: () => vocabularyStore.clear(),
+    import: () => vocabularyStore.import(request.items || [], request.resolutions || {})
+  };
+
+  const operation = operations[request.operation];
+  if (!operation) {
+    sendResponse({ success: false, error: `未知的生词本操作: ${request.operation}` });
+    return;
+  }
+
+  try {
+    sendResponse({ success: true, data: await operation() });
+  } catch (error) {
+    console.error('生词本操作失败:', error);
+    sendResponse({ success: false, error: error.message || '生词本操作失败' });
+  }
+}
+
+/**
+ * 保存查询结果，已存在的单词先判断本次上下文属于哪个已有义项
+ * 判断在生词本队列中进行，同一个单词同时保存两次也只会新增一个义项；每次保存记一条查询日志（学习统计使用）
+ * @param {Object} data - 翻译数据（含 context、url）
+ * @returns {Promise<Object>} { item, created }
+ */
+async function addVocabularyItem(data) {
+  const result = await vocabularyStore.add(data, findMatchingSense);
+  await lookupLog.record(result.item.word, data.url);
+  return result;
+}
+
+/**
+ * 找出与新查询意思相同的义项
+ * 上下文或翻译完全相同、或上下文足够相似时直接在本地匹配；否则询问模型，
+ * 没有API密钥、超出预算或模型不可用时新增义项
+ * @param {Object} item - 已有的生词条目（带 senses）
+ * @param {Object} data - 新的翻译数据
+ * @returns {Promise<string|null>} 义项 id，都不匹配时为 null（新增义项）
+ */
+async function findMatchingSense(item, data) {
+  const senses = item.senses;
+  const exact = senses.find(sense =>
+    (data.context && sense.context === data.context) ||
+    (data.translation && sense.translation === data.translation)
+  );
+  if (exact) return exact.id;
+
+  const best = pickSense(item, data.context, data.url);
+  if (contextSimilarity(best.context, data.context, item.language || data.language) > 0.3) return best.id;
+
+  try {
+    const provider = await getActiveProvider();
+    if (provider.requiresApiKey && !provider.apiKey) throw new Error('API密钥未设置');
+    await ensureWithinBudget(provider);
+
+    const list = senses.map((sense, index) =>
+      `${index + 1}. ${sense.translation}（例句: ${sense.context || '无'}）`
+    ).join('\n');
+    const prompt = `单词 "${item.word}" 已保存了以下义项：
+${list}
+
+新的例句: ${data.context || '无'}
+新的翻译: ${data.translation}
+
+新例句中的 "${data.word}" 与哪个已有义项意思相同？请严格按照以下JSON格式返回，不要包含任何其他内容：
+
+{ "match": 义项编号，都不相同时为 0 }`;
+
+    const content = await scheduleChatCompletion(provider, [{ role: 'user', content: prompt }], {
+      max_tokens: 20,
+      temperature: 0
+    }, { site: usageSite(data.url) });
+    const parsed = parseModelJson(content);
+    const match = Number(parsed.match);
+    return senses[match - 1] ? senses[match - 1].id : null;
+  } catch (error) {
+    console.warn('义项判断失败，新增义项:', error);
+    return null;
+  }
+}
+
+/**
+ * 用 chrome.tts 朗读文本，发音配置来自设置，可被请求中的 options 覆盖
+ * 朗读结束（或被下一次朗读打断）后才响应，播放失败时返回错误
+ * @param {Object} request - 包含text和options的请求对象
+ * @param {Function} sendResponse - 响应回调函数
+ */
+function handleSpeak(request, sendResponse) {
+  let responded = false;
+  const respond = (response) => {
+    if (responded) return;
+    responded = true;
+    sendResponse(response);
+  };
+
+  chrome.storage.sync.get(['settings'], (result) => {
+    const pronunciation = { ...resolvePronunciation(result.settings), ...(request.options || {}) };
+    const options = {
+      lang: pronunciation.accent,
+      rate: pronunciation.rate,
+      enqueue: false, // 打断上一次朗读
+      onEvent: (event) => {
+        if (event.type === 'error') {
+          respond({ success: false, error: event.errorMessage || '朗读失败' });
+        } else if (['end', 'interrupted', 'cancelled'].includes(event.type)) {
+          respond({ success: true });
+        }
+      }
+    };
+    if (pronunciation.voiceName) {
+      options.voiceName = pronunciation.voiceName;
+    }
+
+    // 回调只表示已加入朗读队列，这里只处理无法朗读的情况（如语音不存在）
+    chrome.tts.speak(request.text, options, () => {
+      if (chrome.runtime.lastError) {
+        respond({ success: false, error: chrome.runtime.lastError.message });
+      }
+    });
+  });
+}
+
+/**
+ * 测试翻译服务连接，使用设置页中尚未保存的配置（不受预算限制，用量记在设置页名下）
+ * @param {Object} request - 包含providerId和config的请求对象
+ * @param {Function} sendResponse - 响应回调函数
+ */
+async function handleProviderTest(request, sendResponse) {
+  try {
+    const provider = resolveProviderConfig(request.providerId, request.config);
+    const { usage } = await requestChatCompletion(provider, [{ role: 'user', content: 'Hello' }], {
+      max_tokens: 10
+    });
+    await usageTracker.record(provider.id, '', usage);
+    sendResponse({ success: true, provider: provider.name, model: provider.model, usage: usage });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message || '连接失败' });
+  }
+}
+
+// 监听安装和更新事件，设置默认配置并迁移存储结构
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     chrome.storage.sync.set({
       deepseek_api_key: '',
-      settings: {},
-      vocabulary: []
+      active_provider: DEFAULT_PROVIDER_ID,
+      provider_configs: {},
+      settings: {}
+    });
+  }
+  if (details.reason === 'install' || details.reason === 'update') {
+    // 迁移直接修改存储，在生词本的队列中执行，避免与保存生词同时写入
+    vocabularyStore.migrate();
+  }
+  updateContextMenu();
+});
+
+/**
+ * 根据设置创建或移除"翻译选中文本"右键菜单
+ */
+function updateContextMenu() {
+  chrome.storage.sync.get(['settings'], (result) => {
+    chrome.contextMenus.removeAll(() => {
+      if (!resolveTriggers(result.settings).contextMenu) return;
+
+      chrome.contextMenus.create({
+        id: TRANSLATE_MENU_ID,
+        title: '用再见单词翻译“%s”',
+        contexts: ['selection']
+      });
     });
+  });
+}
+
+// 设置中的触发方式变化时更新右键菜单
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.settings) {
+    updateContextMenu();
   }
-}); 
\ No newline at end of file
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === TRANSLATE_MENU_ID && tab) {
+    requestSelectionTranslation(tab.id, 'contextMenu');
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== TRANSLATE_COMMAND) return;
+
+  if (tab) {
+    requestSelectionTranslation(tab.id, 'shortcut');
+  } else {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs[0]) requestSelectionTranslation(tabs[0].id, 'shortcut');
+    });
+  }
+});
+
+/**
+ * 让标签页翻译当前选中的文本
+ * @param {number} tabId - 标签页ID
+ * @param {string} trigger - 触发方式，对应 DEFAULT_TRIGGERS 中的键
+ */
+function requestSelectionTranslation(tabId, trigger) {
+  chrome.tabs.sendMessage(tabId, { action: 'translateSelection', trigger: trigger }).catch(() => {
+    // 忽略错误（该页面可能没有content script，例如浏览器内部页面）
+  });
+}
@@ -4,7 +4,7 @@
  * 智能选中翻译插件 - 内容脚本
  * 主要功能：
  * 1. 双击选中文本，单击激活翻译
- * 2. 自动扫描页面中的生词本单词并添加气泡
+ * 2. 自动扫描页面中的生词本单词并添加气泡（包括之后动态加载的内容）
  * 3. 管理翻译气泡和生词本气泡
  * 4. 与background script通信处理API请求
  */
@@ -16,55 +16,130 @@ class SmartSelectionTranslator {
     this.isReady = false; // 标记是否可以响应单击（延迟激活）
     this.clickTimeout = null; // 延迟激活的定时器
     this.clickDelay = 200; // 双击后必须等待的时间间隔（毫秒）
+    this.maxSelectionLength = 1000; // 允许翻译的最大长度（整段）
+    this.sentenceMinWords = 5; // 达到该单词数或 sentenceMinLength 时使用句子翻译
+    this.sentenceMinLength = 50;
     
     // 气泡管理
     this.bubbles = new Map(); // 存储翻译气泡，key为唯一ID
     this.vocabularyBubbles = new Map(); // 存储生词本气泡
     this.bubbleCounter = 0; // 用于生成唯一气泡ID
+    this.overlay = new OverlayRenderer(); // 浮层模式下的 Shadow DOM 渲染器
+    this.contextMenu = new VocabularyContextMenu(); // 生词气泡右键菜单
+    this.sentencePanel = new SentencePanel(); // 句子翻译面板
+    this.translationCard = new TranslationCard(); // 气泡的详细信息卡片
+    this.vocabularyClient = new VocabularyClient(); // 生词本由 background 统一管理
+    this.sentenceRequestId = 0; // 只显示最近一次句子翻译的结果
+    
+    // 生词扫描
+    this.matcher = new VocabularyMatcher(); // 生词本变化时重建
+    this.scanQueue = []; // 等待处理的文本节点，在浏览器空闲时分批处理
+    this.scanScheduled = false;
+    this.scanChunkBudget = 8; // 每批最多占用主线程的时间（毫秒）
+    this.hiddenVocabularyFields = ['review']; // 生词气泡和卡片不显示的字段，修改后不需要重新扫描
+    
+    // 增量扫描（动态加载的内容）
+    this.mutationObserver = null;
+    this.pendingScanRoots = new Set(); // 等待扫描的新增/变化节点
+    this.mutationTimer = null;
+    this.mutationDebounce = 300; // 合并连续变化的等待时间（毫秒）
+    this.mutationMaxWait = 1000; // 页面持续变化时最长等待时间（毫秒）
+    this.firstPendingAt = 0;
+    this.ownNodes = new WeakSet(); // 插件自己插入的节点，不触发重新扫描
     
     // 设置
     this.settings = null;
+    this.isActive = false; // 当前网页是否启用（受站点规则和全局开关控制）
+    this.handlers = {
+      dblclick: this.handleDoubleClick.bind(this), // 双击选中
+      click: this.handleSingleClick.bind(this), // 单击激活
+      selectionchange: this.handleSelectionChange.bind(this) // 选择变化
+    };
     
     this.init();
   }
 
   /**
    * 初始化插件
-   * 设置事件监听器、消息处理器，并开始扫描生词本
+   * 设置消息处理器，站点规则允许时再设置事件监听器并扫描生词本
    */
   async init() {
     // 获取设置
     this.settings = await this.getSettings();
     
-    // 设置事件监听器
-    document.addEventListener('dblclick', this.handleDoubleClick.bind(this)); // 双击选中
-    document.addEventListener('click', this.handleSingleClick.bind(this)); // 单击激活
-    document.addEventListener('selectionchange', this.handleSelectionChange.bind(this)); // 选择变化
-    
-    // 监听来自popup和background的消息
+    // 监听来自popup和background的消息（暂停时也需要监听，以便恢复）
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.action === 'settingsUpdated') {
         this.refreshSettings();
-      } else if (message.action === 'vocabularyUpdated') {
-        this.scanPageForVocabulary(); // 重新扫描生词本
-      } else if (message.action === 'showAlert') {
-        // 处理来自DeepSeek的alert提醒
-        alert(message.message);
+      } else if (!this.isActive) {
+        return;
+      } else if (message.action === 'translateSelection') {
+        // 快捷键或浏览器右键菜单
+        if (resolveTriggers(this.settings)[message.trigger]) {
+          this.translateCurrentSelection();
+        }
       }
     });
     
-    // 显示初始化成功通知
-    if (window.notificationManager) {
-      window.notificationManager.show({
-        html: `
-          <div style="font-weight: 600; margin-bottom: 2px;">再见单词</div>
-          <div style="font-size: 12px; opacity: 0.9;">content.js 已成功注入</div>
-        `
-      });
+    // 任何标签页或弹窗修改生词本后重新扫描；只修改了网页上不显示的字段（如复习记录）时不扫描
+    this.vocabularyClient.subscribe((change) => {
+      if (!this.isActive) return;
+      if (change.type === 'update' && change.fields && change.fields.every(field => this.hiddenVocabularyFields.includes(field))) return;
+      this.scanPageForVocabulary();
+    });
+    
+    // 全局关闭或站点规则不允许时不做任何事
+    if (isSiteEnabled(location.href, this.settings)) {
+      await this.start();
     }
+  }
+
+  /**
+   * 在当前网页启用插件：设置事件监听器并扫描生词本
+   */
+  async start() {
+    if (this.isActive) return;
+    this.isActive = true;
+    
+    // 设置事件监听器
+    Object.entries(this.handlers).forEach(([type, handler]) => {
+      document.addEventListener(type, handler);
+    });
     
     // 初始化生词本扫描
-    this.scanPageForVocabulary();
+    await this.scanPageForVocabulary();
+    
+    // 监听之后动态加载的内容
+    this.startMutationObserver();
+  }
+
+  /**
+   * 在当前网页停用插件：移除监听器和所有气泡
+   */
+  stop() {
+    if (!this.isActive) return;
+    this.isActive = false;
+    
+    Object.entries(this.handlers).forEach(([type, handler]) => {
+      document.removeEventListener(type, handler);
+    });
+    
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+    clearTimeout(this.mutationTimer);
+    this.mutationTimer = null;
+    this.pendingScanRoots.clear();
+    this.scanQueue = [];
+    
+    this.resetListeningState();
+    this.contextMenu.close();
+    this.sentencePanel.close();
+    this.translationCard.close();
+    this.removeBubble();
+    this.clearVocabularyBubbles();
+    this.overlay.unmount();
   }
 
   async getSettings() {
@@ -77,7 +152,48 @@ class SmartSelectionTranslator {
   }
 
   async refreshSettings() {
+    const previousMode = this.getRenderMode();
+    const previousLanguage = this.getSourceLanguage();
     this.settings = await this.getSettings();
+    
+    // 站点规则或全局开关变化
+    const enabled = isSiteEnabled(location.href, this.settings);
+    if (!enabled) {
+      this.stop();
+      return;
+    }
+    if (!this.isActive) {
+      await this.start();
+      return;
+    }
+    
+    // 切换显示方式后，移除旧模式下的气泡并重新扫描
+    if (this.getRenderMode() !== previousMode) {
+      this.removeBubble();
+      this.clearVocabularyBubbles();
+      this.overlay.unmount();
+      this.scanPageForVocabulary();
+    } else if (this.getSourceLanguage() !== previousLanguage) {
+      // 学习语言变化后分词方式不同，重新扫描
+      this.scanPageForVocabulary();
+    }
+  }
+
+  /**
+   * @returns {string} 正在学习的语言（网页原文的语言）
+   */
+  getSourceLanguage() {
+    return resolveLanguages(this.settings).source;
+  }
+
+  /**
+   * 气泡显示方式
+   * - inline: 拆分页面文本节点，把气泡插入到单词后面
+   * - overlay: 在 Shadow DOM 浮层中绘制气泡，不修改页面DOM
+   * @returns {string}
+   */
+  getRenderMode() {
+    return this.settings?.renderMode === 'overlay' ? 'overlay' : 'inline';
   }
 
   /**
@@ -85,11 +201,13 @@ class SmartSelectionTranslator {
    * @param {Event} event - 双击事件对象
    */
   handleDoubleClick(event) {
+    if (!resolveTriggers(this.settings).doubleClick) return;
+    
     const selection = window.getSelection();
     const selectedText = selection.toString().trim();
     
-    // 检查选中文本是否有效（长度1-50字符）
-    if (selectedText && selectedText.length > 0 && selectedText.length < 50) {
+    // 检查选中文本是否有效（过长的选中不翻译）
+    if (selectedText && selectedText.length > 0 && selectedText.length <= this.maxSelectionLength) {
       // 重置之前的状态
       this.resetListeningState();
       
@@ -117,6 +235,10 @@ class SmartSelectionTranslator {
   }
 
     handleSingleClick(event) {
+    if (this.handleModifierClick(event)) {
+      return;
+    }
+    
     if (!this.isListening || !this.isReady || !this.lastSelection) {
       return;
     }
@@ -154,6 +276,112 @@ class SmartSelectionTranslator {
       }
   }
 
+  /**
+   * 修饰键+点击：翻译点击处的单词（点击在选中文本内时翻译整个选中）
+   * @param {MouseEvent} event - 点击事件
+   * @returns {boolean} 是否已处理
+   */
+  handleModifierClick(event) {
+    const triggers = resolveTriggers(this.settings);
+    if (!triggers.modifierClick || !isModifierPressed(event, this.settings.clickModifier)) {
+      return false;
+    }
+    if (this.isOwnNode(event.target)) return false;
+
+    const selection = window.getSelection();
+    const range = this.isPointInSelection(selection, event.clientX, event.clientY)
+      ? selection.getRangeAt(0).cloneRange()
+      : this.getWordRangeAtPoint(event.clientX, event.clientY);
+    if (!range) return false;
+
+    // 阻止修饰键点击的默认行为（如 Ctrl+点击链接在新标签页打开）
+    event.preventDefault();
+    event.stopPropagation();
+
+    this.translateRange(range);
+    return true;
+  }
+
+  /**
+   * 判断坐标是否落在当前选中的文本上
+   * @param {Selection} selection - 当前选择
+   * @param {number} x - 视口坐标
+   * @param {number} y
+   * @returns {boolean}
+   */
+  isPointInSelection(selection, x, y) {
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return false;
+
+    return Array.from(selection.getRangeAt(0).getClientRects()).some(rect =>
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+    );
+  }
+
+  /**
+   * 获取坐标处单词的范围
+   * @param {number} x - 视口坐标
+   * @param {number} y
+   * @returns {Range|null}
+   */
+  getWordRangeAtPoint(x, y) {
+    const caret = document.caretRangeFromPoint ? document.caretRangeFromPoint(x, y) : null;
+    if (!caret || caret.startContainer.nodeType !== Node.TEXT_NODE) return null;
+
+    const textNode = caret.startContainer;
+    const text = textNode.data;
+    const isWordChar = (char) => /[\p{L}\p{M}\p{N}'’-]/u.test(char);
+
+    let start = caret.startOffset;
+    let end = caret.startOffset;
+    while (start > 0 && isWordChar(text[start - 1])) start--;
+    while (end < text.length && isWordChar(text[end])) end++;
+    if (start === end) return null;
+
+    // 日语、中文等没有空格，连续的文字需要再切分出光标所在的单词
+    const run = text.substring(start, end);
+    if (UNSPACED_SCRIPT_PATTERN.test(run)) {
+      const offset = caret.startOffset - start;
+      const word = segmentWords(run, this.getSourceLanguage())
+        .find(item => offset >= item.start && offset <= item.end);
+      if (!word) return null;
+      end = start + word.end;
+      start += word.start;
+    }
+
+    const range = document.createRange();
+    range.setStart(textNode, start);
+    range.setEnd(textNode, end);
+    return range;
+  }
+
+  /**
+   * 翻译当前选中的文本（快捷键、右键菜单），不需要双击后再单击
+   */
+  translateCurrentSelection() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return;
+
+    this.translateRange(selection.getRangeAt(0).cloneRange());
+  }
+
+  /**
+   * 所有触发方式的共同入口：把范围作为选中文本交给 showTranslationBubble
+   * @param {Range} range - 要翻译的文本范围
+   */
+  translateRange(range) {
+    const text = range.toString().trim();
+    if (!text || text.length > this.maxSelectionLength) return;
+
+    this.resetListeningState();
+    this.lastSelection = {
+      range: range,
+      text: text,
+      rect: range.getBoundingClientRect()
+    };
+    this.showTranslationBubble();
+    this.resetListeningState();
+  }
+
   elementContainsSelection(element, selection) {
     try {
       const range = selection.range;
@@ -197,6 +425,12 @@ class SmartSelectionTranslator {
 
     const selectedText = this.lastSelection.text.trim();
     
+    // 整句或整段使用句子翻译面板
+    if (this.isSentenceSelection(selectedText)) {
+      this.showSentencePanel();
+      return;
+    }
+    
     // 检查是否已经有生词气泡在附近
     const existingBubble = this.findNearbyVocabularyBubble(this.lastSelection.range, selectedText);
     
@@ -209,11 +443,23 @@ class SmartSelectionTranslator {
     const bubbleId = `bubble_${++this.bubbleCounter}_${Date.now()}`;
     
     // 创建气泡元素
-    const bubbleElement = document.createElement('span');
+    const bubbleElement = markOwnNode(document.createElement('span'));
     bubbleElement.className = 'smart-translation-bubble loading';
     bubbleElement.dataset.bubbleId = bubbleId;
     bubbleElement.innerHTML = '<span class="bubble-content"></span>';
     
+    // 添加朗读按钮
+    const speakButton = document.createElement('span');
+    speakButton.className = 'bubble-speak';
+    speakButton.textContent = '🔊';
+    speakButton.title = '朗读';
+    speakButton.onclick = (e) => {
+      e.stopPropagation();
+      const bubbleInfo = this.bubbles.get(bubbleId);
+      this.pronounce(bubbleInfo?.result?.word || selectedText);
+    };
+    bubbleElement.appendChild(speakButton);
+    
     // 添加关闭按钮
     const closeButton = document.createElement('span');
     closeButton.className = 'bubble-close';
@@ -224,8 +470,22 @@ class SmartSelectionTranslator {
     };
     bubbleElement.appendChild(closeButton);
     
-    // 插入气泡到选中文本后
-    this.insertBubbleAfterSelection(bubbleElement, this.lastSelection.range);
+    // 翻译完成后可查看详细信息
+    this.translationCard.attach(bubbleElement, () => {
+      const bubbleInfo = this.bubbles.get(bubbleId);
+      if (!bubbleInfo || !bubbleInfo.result) return null;
+      return {
+        container: this.getFloatingContainer(),
+        data: this.buildCardData(bubbleInfo.result, bubbleInfo.selection.text, bubbleInfo.context)
+      };
+    });
+    
+    // 插入气泡到选中文本后（浮层模式下绘制在选中文本上方）
+    if (this.getRenderMode() === 'overlay') {
+      this.overlay.attach(this.lastSelection.range.cloneRange(), bubbleElement);
+    } else {
+      this.insertBubbleAfterSelection(bubbleElement, this.lastSelection.range);
+    }
     
     // 存储气泡信息
     this.bubbles.set(bubbleId, {
@@ -238,6 +498,57 @@ class SmartSelectionTranslator {
     this.translateText(bubbleId);
   }
 
+  /**
+   * 菜单、面板、卡片等浮动元素的挂载位置：浮层模式下放入 Shadow DOM，避免受页面样式影响
+   * @returns {Node}
+   */
+  getFloatingContainer() {
+    if (this.getRenderMode() === 'overlay') {
+      this.overlay.mount();
+      return this.overlay.layer;
+    }
+    return document.body;
+  }
+
+  /**
+   * 判断选中的是单词/短语还是句子
+   * @param {string} text - 选中的文本
+   * @returns {boolean}
+   */
+  isSentenceSelection(text) {
+    if (text.length >= this.sentenceMinLength) return true;
+    return VocabularyMatcher.tokenize(text, this.getSourceLanguage()).length >= this.sentenceMinWords;
+  }
+
+  /**
+   * 句子模式：在面板中显示译文和语法讲解，不保存到生词本
+   */
+  async showSentencePanel() {
+    const selection = { ...this.lastSelection };
+    const requestId = ++this.sentenceRequestId;
+
+    this.sentencePanel.show({ rect: selection.rect, container: this.getFloatingContainer(), text: selection.text });
+
+    try {
+      const result = await this.sendSentenceTranslationRequest(selection.text, this.getContext(selection));
+      if (requestId !== this.sentenceRequestId) return;
+
+      // 重点词可以单独加入生词本，上下文就是这个句子
+      this.sentencePanel.showResult(result, (word) => this.saveTranslation({
+        word: word.word,
+        translation: word.translation || '',
+        phonetic: word.phonetic || '',
+        context: selection.text,
+        url: location.href,
+        explanation: word.explanation || '',
+        timestamp: Date.now()
+      }));
+    } catch (error) {
+      if (requestId !== this.sentenceRequestId) return;
+      this.sentencePanel.showError(this.getErrorMessage(error));
+    }
+  }
+
   insertBubbleAfterSelection(bubbleElement, range) {
     try {
       const textNode = range.endContainer;
@@ -254,6 +565,8 @@ class SmartSelectionTranslator {
         // 创建新的文本节点
         const beforeNode = document.createTextNode(beforeText);
         const afterNode = document.createTextNode(afterText);
+        this.ownNodes.add(beforeNode);
+        this.ownNodes.add(afterNode);
         
         // 替换原文本节点并插入气泡
         const parent = textNode.parentNode;
@@ -277,6 +590,10 @@ class SmartSelectionTranslator {
   }
 
   findNearbyVocabularyBubble(range, selectedText) {
+    if (this.getRenderMode() === 'overlay') {
+      return this.overlay.findIntersecting(range, '.vocabulary-bubble');
+    }
+    
     try {
       const container = range.commonAncestorContainer;
       const parent = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
@@ -323,27 +640,46 @@ class SmartSelectionTranslator {
     if (bubbleId) {
       const bubbleInfo = this.bubbles.get(bubbleId);
       if (bubbleInfo && bubbleInfo.element) {
+        this.cancelTranslation(bubbleInfo);
         bubbleInfo.element.remove();
         this.bubbles.delete(bubbleId);
       }
     } else {
       // 移除所有气泡
       this.bubbles.forEach((bubbleInfo) => {
+        this.cancelTranslation(bubbleInfo);
         if (bubbleInfo.element) {
         bubbleInfo.element.remove();
         }
       });
       this.bubbles.clear();
     }
+    
+    // 清理浮层中已被移除的气泡
+    this.overlay.scheduleUpdate();
+    this.translationCard.closeIfDetached();
+  }
+
+  /**
+   * 断开流式翻译的连接，background 会取消对应的API请求
+   * @param {Object} bubbleInfo - 气泡信息
+   */
+  cancelTranslation(bubbleInfo) {
+    if (bubbleInfo.port) {
+      bubbleInfo.port.disconnect();
+      bubbleInfo.port = null;
+    }
   }
 
   removeAllTranslationBubbles() {
     this.bubbles.forEach((bubbleInfo, bubbleId) => {
       if (bubbleInfo.element && !bubbleInfo.element.classList.contains('vocabulary-bubble')) {
+        this.cancelTranslation(bubbleInfo);
         bubbleInfo.element.remove();
         this.bubbles.delete(bubbleId);
       }
     });
+    this.translationCard.closeIfDetached();
   }
 
   /**
@@ -358,10 +694,26 @@ class SmartSelectionTranslator {
     
     try {
       const context = this.getContext(bubbleInfo.selection);
-      const result = await this.sendTranslationRequest(selectedText, context);
+      const result = await this.streamTranslation(bubbleId, selectedText, context, (partial) => {
+        // 模型输出的同时显示已收到的译文
+        if (partial.translation) {
+          this.updateBubbleContent(bubbleId, partial.translation, 'streaming');
+        }
+      });
+      if (!this.bubbles.has(bubbleId)) return; // 气泡已关闭
+      if (result.offline) {
+        this.showNotice('💾 离线模式', '已达到预算上限，显示的是生词本中保存的翻译', 5000);
+      }
+      const actionFields = this.applyModelActions(result);
+      bubbleInfo.result = { ...result, ...actionFields };
+      bubbleInfo.context = context;
       
       // 显示翻译结果
       this.updateBubbleContent(bubbleId, result.translation, 'success');
+      this.decorateBubble(bubbleInfo.element, actionFields);
+      if (resolvePronunciation(this.settings).autoPlay) {
+        this.pronounce(result.word || selectedText);
+      }
       
       // 保存到生词本
         await this.saveTranslation({
@@ -369,7 +721,9 @@ class SmartSelectionTranslator {
         translation: result.translation,
         phonetic: result.phonetic || '',
           context: context,
+        url: location.href,
         explanation: result.explanation || '',
+        ...actionFields,
           timestamp: Date.now()
         });
       
@@ -378,6 +732,32 @@ class SmartSelectionTranslator {
      }
   }
 
+  /**
+   * 处理模型的函数调用（见 model-actions.js）：提醒用通知显示，不阻塞页面；
+   * 其余汇总为随生词保存的字段，显示在气泡样式和翻译卡片中
+   * @param {Object} result - 翻译结果
+   * @returns {Object} { tags, register, relatedWords, falseFriend }
+   */
+  applyModelActions(result) {
+    const { alerts, ...fields } = summarizeModelActions(result.function_calls);
+    alerts.forEach(message => this.showNotice('⚠ 用法提醒', message, 8000));
+    return fields;
+  }
+
+  /**
+   * 按语体和"假朋友"标记给气泡加上样式
+   * @param {HTMLElement} element - 气泡
+   * @param {Object} item - 含 register、falseFriend 的翻译结果或生词
+   */
+  decorateBubble(element, item) {
+    if (WORD_REGISTERS[item.register]) {
+      element.classList.add(`register-${item.register}`);
+    }
+    if (item.falseFriend) {
+      element.classList.add('false-friend');
+    }
+  }
+
   getContext(selection = null) {
     if (!selection) return '';
     
@@ -432,6 +812,72 @@ class SmartSelectionTranslator {
     });
   }
 
+  /**
+   * 通过长连接请求流式翻译，关闭气泡时断开连接以取消请求
+   * @param {string} bubbleId - 气泡ID
+   * @param {string} text - 要翻译的文本
+   * @param {string} context - 上下文
+   * @param {Function} onPartial - 收到部分结果时调用，参数为已出现的字段
+   * @returns {Promise<Object>} 完整的翻译数据
+   */
+  streamTranslation(bubbleId, text, context, onPartial) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: 'translate-stream' });
+      let settled = false;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        const bubbleInfo = this.bubbles.get(bubbleId);
+        if (bubbleInfo) bubbleInfo.port = null;
+        port.disconnect();
+        callback(value);
+      };
+
+      const bubbleInfo = this.bubbles.get(bubbleId);
+      if (bubbleInfo) bubbleInfo.port = port;
+
+      port.onMessage.addListener((message) => {
+        if (message.type === 'partial') {
+          onPartial(message.data);
+        } else if (message.type === 'done') {
+          // offline：超出预算，结果来自生词本
+          settle(resolve, message.offline ? { ...message.data, offline: true } : message.data);
+        } else if (message.type === 'error') {
+          settle(reject, new Error(message.error || '翻译失败'));
+        }
+      });
+      port.onDisconnect.addListener(() => {
+        settle(reject, new Error(chrome.runtime.lastError?.message || '翻译已取消'));
+      });
+
+      port.postMessage({ text: text, context: context });
+    });
+  }
+
+  /**
+   * 发送句子翻译请求到background script
+   * @param {string} text - 要翻译的句子或段落
+   * @param {string} context - 上下文
+   * @returns {Promise<Object>} { translation, grammar, words }
+   */
+  async sendSentenceTranslationRequest(text, context) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        action: 'translateSentence',
+        text: text,
+        context: context
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response && response.success) {
+          resolve(response.data);
+        } else {
+          reject(new Error(response?.error || '翻译失败'));
+        }
+      });
+    });
+  }
+
   /**
    * 更新气泡内容
    * @param {string} bubbleId - 气泡ID
@@ -460,54 +906,94 @@ class SmartSelectionTranslator {
       bubbleElement.classList.add(errorType);
     }
     
-    // 添加tooltip - 显示解释信息
-    bubbleElement.title = content;
+    // 详细信息在卡片中显示，只有错误信息可能被截断，用 title 显示完整内容
+    if (type === 'error') {
+      bubbleElement.title = content;
+    } else {
+      bubbleElement.removeAttribute('title');
+    }
+  }
+
+  /**
+   * 整理卡片需要显示的内容
+   * @param {Object} item - 生词条目或翻译结果
+   * @param {string} surface - 页面上的原始形式
+   * @param {string} context - 上下文
+   * @returns {Object} TranslationCard.render() 使用的数据
+   */
+  buildCardData(item, surface, context) {
+    const { partOfSpeech, meaning } = this.splitPartOfSpeech(item.translation || '');
+    return {
+      word: item.word || surface,
+      surface: surface,
+      phonetic: item.phonetic || '',
+      partOfSpeech: partOfSpeech,
+      translation: meaning,
+      explanation: item.explanation || '',
+      register: WORD_REGISTERS[item.register] || '',
+      tags: item.tags || [],
+      relatedWords: item.relatedWords || [],
+      falseFriend: item.falseFriend || '',
+      context: this.highlightContext(context || item.context || '', item.word || surface),
+      savedAt: item.createdAt || item.timestamp || null,
+      lookupCount: item.lookupCount || 0,
+      onSpeak: () => this.pronounce(item.word || surface)
+    };
   }
 
   /**
-   * 保存翻译结果到生词本
-   * @param {Object} data - 翻译数据对象
+   * 把"词性.翻译"格式拆开，如 "adj. 迟钝的" → { partOfSpeech: 'adj.', meaning: '迟钝的' }
+   * @param {string} translation - 翻译
+   * @returns {Object} { partOfSpeech, meaning }
+   */
+  splitPartOfSpeech(translation) {
+    const match = translation.match(/^\s*((?:[a-z]+\.\s*[&/,]?\s*)+)\s*(.+)$/i);
+    if (!match) return { partOfSpeech: '', meaning: translation };
+    return { partOfSpeech: match[1].trim(), meaning: match[2].trim() };
+  }
+
+  /**
+   * 在上下文中标出单词（包括变形）
+   * @param {string} context - 上下文
+   * @param {string} word - 单词
+   * @returns {Array<Object>} { text, highlight }
+   */
+  highlightContext(context, word) {
+    if (!context) return [];
+
+    const matches = new VocabularyMatcher([{ word: word }], this.getSourceLanguage()).match(context);
+    const parts = [];
+    let lastIndex = 0;
+    matches.forEach(match => {
+      if (match.start > lastIndex) {
+        parts.push({ text: context.substring(lastIndex, match.start), highlight: false });
+      }
+      parts.push({ text: match.text, highlight: true });
+      lastIndex = match.end;
+    });
+    if (lastIndex < context.length) {
+      parts.push({ text: context.substring(lastIndex), highlight: false });
+    }
+    return parts;
+  }
+
+  /**
+   * 保存到生词本
+   * @param {Object} data - 翻译数据
+   * @returns {Promise<boolean>} 是否保存成功（失败时已记录日志）
    */
   async saveTranslation(data) {
     try {
-      const vocabulary = await this.getVocabulary();
+      // background 按词形还原去重（英文的 running 与 run 视为同一个词），已存在时判断是否为新的义项
+      // 记下学习语言：只有英文单词才还原词形
+      await this.vocabularyClient.add({ ...data, language: this.getSourceLanguage() });
       
-      // 检查是否存在相同的单词（不区分大小写）
-      const existingIndex = vocabulary.findIndex(item => 
-        item.word.toLowerCase() === data.word.toLowerCase()
-      );
-      
-      if (existingIndex !== -1) {
-        // 如果存在，更新现有条目，保留原有数据
-        const existing = vocabulary[existingIndex];
-        vocabulary[existingIndex] = {
-          ...existing,
-          translation: data.translation,
-          phonetic: data.phonetic || existing.phonetic,
-          explanation: data.explanation || existing.explanation,
-          context: data.context || existing.context,
-          timestamp: data.timestamp // 更新时间戳
-        };
-      } else {
-        // 如果不存在，添加到开头
-        vocabulary.unshift(data);
-      }
-      
-      // 保存到存储
-      await new Promise((resolve) => {
-        chrome.storage.local.set({ vocabulary: vocabulary }, resolve);
-      });
-      
-      // 移除翻译气泡
+      // 移除翻译气泡，生词本变化后所有标签页（包括当前页）都会重新扫描
       this.removeAllTranslationBubbles();
-      
-      // 如果是新单词，重新扫描页面
-      if (existingIndex === -1) {
-        setTimeout(() => this.scanPageForVocabulary(), 200);
-      }
-      
+      return true;
     } catch (error) {
       console.error('保存翻译失败:', error);
+      return false;
     }
   }
 
@@ -518,6 +1004,14 @@ class SmartSelectionTranslator {
       return '网络连接失败';
     } else if (error.message.includes('server')) {
       return '服务器错误';
+    } else if (error.message.includes('不符合格式')) {
+      return error.message; // 模型修正后仍返回错误的格式，结果没有保存
+    } else if (error.message.includes('请求频率超限') || error.message.includes('请求超时')) {
+      return error.message; // 已自动重试仍失败
+    } else if (error.message.includes('预算上限')) {
+      return error.message; // 生词本中也没有这个单词
+    } else if (/API密钥|无法连接到|接口或模型不存在|API请求失败/.test(error.message)) {
+      return error.message; // 翻译服务的错误，说明需要修改哪项设置
     } else {
       return '翻译失败';
     }
@@ -534,58 +1028,184 @@ class SmartSelectionTranslator {
       
       // 获取生词本数据
       const vocabulary = await this.getVocabulary();
-      if (vocabulary.length === 0) return;
+      if (!this.isActive) return; // 读取期间插件已在此网页停用
       
-      // 为每个单词创建正则表达式模式
-      const wordPatterns = vocabulary.map(item => ({
-        word: item.word,
-        pattern: new RegExp(`\\b${this.escapeRegExp(item.word)}\\b`, 'gi'),
-        data: item
-      }));
+      // 生词本变化后重建匹配器，之前排队的文本节点作废
+      this.matcher = new VocabularyMatcher(vocabulary, this.getSourceLanguage());
+      this.scanQueue = [];
+      if (this.matcher.size === 0) return;
       
       // 扫描页面文本节点
-      this.scanTextNodes(document.body, wordPatterns);
+      this.scanTextNodes(document.body);
       
     } catch (error) {
       console.error('扫描生词失败:', error);
     }
   }
 
+  /**
+   * 监听页面DOM变化，只扫描新增或内容变化的子树
+   */
+  startMutationObserver() {
+    if (this.mutationObserver || !document.body) return;
+
+    this.mutationObserver = new MutationObserver(this.handleMutations.bind(this));
+    this.mutationObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+  }
+
+  handleMutations(mutations) {
+    mutations.forEach(mutation => {
+      if (mutation.type === 'characterData') {
+        if (!this.isOwnNode(mutation.target)) {
+          this.pendingScanRoots.add(mutation.target);
+        }
+        return;
+      }
+
+      mutation.addedNodes.forEach(node => {
+        if ((node.nodeType === Node.TEXT_NODE || node.nodeType === Node.ELEMENT_NODE) && !this.isOwnNode(node)) {
+          this.pendingScanRoots.add(node);
+        }
+      });
+    });
+
+    if (this.pendingScanRoots.size > 0) {
+      this.scheduleIncrementalScan();
+    }
+  }
+
+  /**
+   * 防抖：连续变化合并为一次扫描，但持续变化时不超过最长等待时间
+   */
+  scheduleIncrementalScan() {
+    const now = Date.now();
+    if (!this.mutationTimer) {
+      this.firstPendingAt = now;
+    } else {
+      clearTimeout(this.mutationTimer);
+    }
+
+    const delay = now - this.firstPendingAt >= this.mutationMaxWait ? 0 : this.mutationDebounce;
+    this.mutationTimer = setTimeout(() => {
+      this.mutationTimer = null;
+      this.flushIncrementalScan();
+    }, delay);
+  }
+
+  flushIncrementalScan() {
+    const roots = [...this.pendingScanRoots];
+    this.pendingScanRoots.clear();
+    if (this.matcher.size === 0) return;
+
+    // 忽略已被移除的节点，以及已包含在其他待扫描子树中的节点
+    const connectedRoots = roots.filter(node => node.isConnected);
+    const topRoots = connectedRoots.filter(node =>
+      !connectedRoots.some(other => other !== node && other.contains(node))
+    );
+
+    topRoots.forEach(root => {
+      if (root.nodeType === Node.TEXT_NODE) {
+        this.scanQueue.push(root);
+        this.scheduleScanChunk();
+      } else {
+        this.scanTextNodes(root);
+      }
+    });
+    
+    // 页面布局可能已变化，浮层气泡需要重新定位
+    this.overlay.scheduleUpdate();
+  }
+
+  /**
+   * 判断节点是否由插件插入（气泡、拆分后的文本节点、菜单、通知等，见 own-nodes.js）
+   * @param {Node} node - DOM节点
+   * @returns {boolean}
+   */
+  isOwnNode(node) {
+    if (this.ownNodes.has(node)) return true;
+
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return Boolean(element?.closest(`[${OWN_NODE_ATTRIBUTE}]`));
+  }
+
   clearVocabularyBubbles() {
     document.querySelectorAll('.vocabulary-bubble').forEach(bubble => {
       bubble.remove();
     });
+    this.overlay.remove(annotation => annotation.element.classList.contains('vocabulary-bubble'));
     this.vocabularyBubbles.clear();
+    this.translationCard.closeIfDetached();
   }
 
-  scanTextNodes(element, wordPatterns) {
+  /**
+   * 收集元素下的文本节点并排队处理
+   * 这里只做廉价的标签过滤，样式检查和匹配在空闲时分批进行
+   * @param {Node} element - 扫描的根节点
+   */
+  scanTextNodes(element) {
     try {
       const walker = document.createTreeWalker(
         element,
         NodeFilter.SHOW_TEXT,
         {
           acceptNode: (node) => {
-            return this.shouldProcessTextNode(node) ? 
+            const tagName = node.parentElement?.tagName;
+            return tagName && !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA'].includes(tagName) ?
               NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
           }
         }
       );
       
-      const textNodes = [];
       let node;
       while (node = walker.nextNode()) {
-        textNodes.push(node);
+        this.scanQueue.push(node);
       }
       
-      textNodes.forEach(textNode => {
-        this.processTextNode(textNode, wordPatterns);
-      });
+      this.scheduleScanChunk();
       
     } catch (error) {
       console.error('扫描文本节点失败:', error);
     }
   }
 
+  scheduleScanChunk() {
+    if (this.scanScheduled || this.scanQueue.length === 0) return;
+    this.scanScheduled = true;
+
+    const run = (deadline) => {
+      this.scanScheduled = false;
+      this.runScanChunk(deadline);
+    };
+
+    if (window.requestIdleCallback) {
+      requestIdleCallback(run, { timeout: 500 });
+    } else {
+      setTimeout(run, 16);
+    }
+  }
+
+  /**
+   * 处理一批排队的文本节点，超出时间预算后让出主线程
+   * @param {IdleDeadline} deadline - requestIdleCallback 提供的空闲时间信息
+   */
+  runScanChunk(deadline) {
+    const idleTime = deadline && !deadline.didTimeout ? deadline.timeRemaining() : this.scanChunkBudget;
+    const endTime = performance.now() + Math.max(1, Math.min(idleTime, this.scanChunkBudget));
+
+    while (this.scanQueue.length > 0 && performance.now() < endTime) {
+      const textNode = this.scanQueue.shift();
+      if (textNode.isConnected && this.shouldProcessTextNode(textNode)) {
+        this.processTextNode(textNode);
+      }
+    }
+
+    this.scheduleScanChunk();
+  }
+
   shouldProcessTextNode(textNode) {
     try {
       const parent = textNode.parentElement;
@@ -627,26 +1247,30 @@ class SmartSelectionTranslator {
     return element.getAttribute('class') || '';
   }
 
-  processTextNode(textNode, wordPatterns) {
+  processTextNode(textNode) {
     try {
-      const text = textNode.textContent;
-      const matches = [];
-      
-      wordPatterns.forEach(({ pattern, word, data }) => {
-        pattern.lastIndex = 0;
-        let match;
-        while ((match = pattern.exec(text)) !== null) {
-          matches.push({
-            word: word,
-            data: data,
-            start: match.index,
-            end: match.index + match[0].length,
-            text: match[0]
-          });
-        }
-      });
+      const found = this.matcher.match(textNode.textContent);
+      let context = '';
+      if (found.length > 0) {
+        const range = document.createRange();
+        range.selectNodeContents(textNode);
+        context = this.getContext({ range: range });
+      }
+
+      const matches = found.map(match => ({
+        word: match.data.word,
+        data: match.data,
+        entry: this.resolveSense(match.data, context),
+        start: match.start,
+        end: match.end,
+        text: match.text
+      }));
       
-      if (matches.length > 0) {
+      if (this.getRenderMode() === 'overlay') {
+        // 文本内容变化后旧的气泡位置已失效
+        this.overlay.removeForNode(textNode);
+        this.renderOverlayMatches(textNode, matches);
+      } else if (matches.length > 0) {
         matches.sort((a, b) => b.start - a.start);
         this.processAllMatches(textNode, matches);
       }
@@ -681,6 +1305,7 @@ class SmartSelectionTranslator {
         fragment.insertBefore(document.createTextNode(text.substring(0, lastIndex)), fragment.firstChild);
       }
       
+      fragment.childNodes.forEach(node => this.ownNodes.add(node));
       parent.replaceChild(fragment, textNode);
       
     } catch (error) {
@@ -688,76 +1313,237 @@ class SmartSelectionTranslator {
     }
   }
 
+  /**
+   * 浮层模式：为每个匹配创建 Range，在浮层中绘制气泡，不修改文本节点
+   * @param {Text} textNode - 文本节点
+   * @param {Array} matches - 匹配结果
+   */
+  renderOverlayMatches(textNode, matches) {
+    matches.forEach(match => {
+      const range = document.createRange();
+      range.setStart(textNode, match.start);
+      range.setEnd(textNode, match.end);
+      this.overlay.attach(range, this.createVocabularyBubbleElement({ ...match, range: range }));
+    });
+  }
+
+  /**
+   * 选出最符合当前段落的义项，合并到条目上（翻译、解释、上下文取自该义项）
+   * @param {Object} item - 生词条目
+   * @param {string} context - 单词所在段落
+   * @returns {Object} 条目副本，senseId 为所选义项
+   */
+  resolveSense(item, context) {
+    const sense = pickSense(item, context, location.href);
+    return {
+      ...item,
+      translation: sense.translation,
+      explanation: sense.explanation,
+      context: sense.context,
+      senseId: sense.id
+    };
+  }
+
   /**
    * 创建生词本气泡元素
    * @param {Object} match - 匹配的单词信息
    * @returns {HTMLElement} 气泡元素
    */
   createVocabularyBubbleElement(match) {
-    const bubbleElement = document.createElement('span');
+    const bubbleElement = markOwnNode(document.createElement('span'));
     bubbleElement.className = 'smart-translation-bubble vocabulary-bubble';
-    bubbleElement.textContent = match.data.translation;
+    bubbleElement.textContent = match.entry.translation;
+    bubbleElement.dataset.surface = match.text; // 页面上的原始形式（可能是变形）
+    this.decorateBubble(bubbleElement, match.entry);
     
-    // 设置tooltip显示解释信息
-    const explanation = match.data.explanation || '';
-    bubbleElement.title = explanation ? `${match.text} - ${match.data.translation}\n\n解释：${explanation}` : `${match.text} - ${match.data.translation}`;
+    // 悬停、点击或键盘聚焦时显示详细信息卡片，变形词同时显示生词本中的原词
+    this.translationCard.attach(bubbleElement, () => ({
+      container: this.getFloatingContainer(),
+      data: this.buildCardData(match.entry, match.text, match.entry.context)
+    }));
     
     // 添加右键菜单
     bubbleElement.addEventListener('contextmenu', (event) => {
       event.preventDefault();
-      this.showVocabularyContextMenu(event, match);
+      event.stopPropagation();
+      this.showVocabularyContextMenu(event, match, bubbleElement);
     });
     
     return bubbleElement;
   }
 
-  showVocabularyContextMenu(event, match) {
-    // 创建自定义右键菜单
-    const menu = document.createElement('div');
-    menu.style.cssText = `
-      position: fixed;
-      top: ${event.clientY}px;
-      left: ${event.clientX}px;
-      background: white;
-      border: 1px solid #ccc;
-      border-radius: 8px;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-      z-index: 10000;
-      padding: 8px 0;
-      min-width: 120px;
-    `;
-    
-    menu.innerHTML = `
-      <div style="padding: 8px 16px; cursor: pointer; hover: background: #f5f5f5;" onclick="this.parentElement.remove()">
-        Hello World
-      </div>
-    `;
-    
-    document.body.appendChild(menu);
-    
-    // 点击其他地方关闭菜单
-    const closeMenu = () => {
-      if (menu.parentNode) {
-        menu.parentNode.removeChild(menu);
-      }
-      document.removeEventListener('click', closeMenu);
+  /**
+   * 显示生词气泡的右键菜单
+   * @param {MouseEvent} event - contextmenu 事件
+   * @param {Object} match - 匹配的单词信息
+   * @param {HTMLElement} bubbleElement - 生词气泡
+   */
+  showVocabularyContextMenu(event, match, bubbleElement) {
+    const word = match.data.word;
+    const container = this.getFloatingContainer();
+    const run = (action) => () => {
+      this.contextMenu.close();
+      action();
     };
-    
-    setTimeout(() => {
-      document.addEventListener('click', closeMenu);
-    }, 100);
+
+    this.contextMenu.show({
+      x: event.clientX,
+      y: event.clientY,
+      container: container,
+      title: match.text === word ? word : `${match.text} → ${word}`,
+      items: [
+        { icon: '✓', label: '标记为已掌握', onSelect: run(() => this.markVocabularyKnown(word)) },
+        { icon: '🗑', label: '从生词本删除', onSelect: run(() => this.deleteVocabularyWord(word)) },
+        { icon: '↻', label: '按当前上下文重新翻译', onSelect: run(() => this.retranslateVocabulary(match, bubbleElement)) },
+        { icon: '✎', label: '编辑翻译或笔记', onSelect: () => this.editVocabulary(match.entry) },
+        { icon: '🔊', label: '朗读', onSelect: run(() => this.pronounce(word)) },
+        { icon: '⧉', label: '复制', onSelect: run(() => this.copyVocabulary(match.entry)) },
+        { icon: 'ℹ', label: '查看详情', onSelect: () => this.showVocabularyDetails(match.entry) }
+      ]
+    });
   }
 
-  async getVocabulary() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['vocabulary'], (result) => {
-        resolve(result.vocabulary || []);
+  async markVocabularyKnown(word) {
+    if (!await this.updateVocabularyItem(word, { known: true })) return;
+    this.showNotice('已标记为掌握', `“${word}” 将不再高亮显示`);
+  }
+
+  async deleteVocabularyWord(word) {
+    try {
+      await this.vocabularyClient.remove([word]);
+      this.showNotice('已删除', `“${word}” 已从生词本移除`);
+    } catch (error) {
+      this.showNotice('删除失败', error.message);
+    }
+  }
+
+  /**
+   * 用气泡所在位置的上下文重新翻译，按一次新的查询保存
+   * 意思与已有义项不同时会新增义项
+   * @param {Object} match - 匹配的单词信息
+   * @param {HTMLElement} bubbleElement - 生词气泡
+   */
+  async retranslateVocabulary(match, bubbleElement) {
+    let range = match.range;
+    if (!range) {
+      range = document.createRange();
+      range.selectNode(bubbleElement);
+    }
+    const context = this.getContext({ range: range });
+
+    bubbleElement.classList.add('loading');
+    try {
+      const result = await this.sendTranslationRequest(match.text, context);
+      await this.vocabularyClient.add({
+        ...this.applyModelActions(result),
+        word: match.data.word,
+        translation: result.translation,
+        phonetic: result.phonetic || match.data.phonetic,
+        explanation: result.explanation || '',
+        context: context,
+        url: location.href,
+        timestamp: Date.now()
       });
+    } catch (error) {
+      bubbleElement.classList.remove('loading');
+      this.showNotice('重新翻译失败', this.getErrorMessage(error));
+    }
+  }
+
+  /**
+   * 编辑当前显示的义项的翻译和单词的笔记
+   * @param {Object} item - resolveSense 返回的条目
+   */
+  editVocabulary(item) {
+    this.contextMenu.showEditor(item, (changes) => {
+      this.updateVocabularyItem(item.word, {
+        notes: changes.notes,
+        sense: { id: item.senseId, translation: changes.translation || item.translation }
+      });
+    });
+  }
+
+  /**
+   * 朗读单词（由 background 通过 chrome.tts 使用系统语音）
+   * @param {string} word - 单词
+   */
+  pronounce(word) {
+    requestPronunciation(word).catch((error) => {
+      this.showNotice('朗读失败', error.message);
+    });
+  }
+
+  async copyVocabulary(item) {
+    const text = [item.word, item.phonetic, item.translation].filter(Boolean).join(' ');
+    try {
+      await navigator.clipboard.writeText(text);
+      this.showNotice('已复制', text);
+    } catch (error) {
+      this.showNotice('复制失败', '页面不允许访问剪贴板');
+    }
+  }
+
+  showVocabularyDetails(item) {
+    this.contextMenu.showDetails(item, [
+      ['音标', item.phonetic],
+      ['翻译', item.translation],
+      ['解释', item.explanation],
+      ['上下文', item.context],
+      ['其他义项', (item.senses || [])
+        .filter(sense => sense.id !== item.senseId)
+        .map(sense => sense.translation)
+        .join('；')],
+      ['语体', WORD_REGISTERS[item.register]],
+      ['标签', (item.tags || []).join('、')],
+      ['相关词', (item.relatedWords || []).join(', ')],
+      ['假朋友', item.falseFriend],
+      ['笔记', item.notes],
+      ['首次保存', new Date(item.createdAt || item.timestamp).toLocaleString()],
+      ['最近查询', item.timestamp ? new Date(item.timestamp).toLocaleString() : ''],
+      ['查询次数', String(item.lookupCount || 1)]
+    ]);
+  }
+
+  /**
+   * 用 NotificationManager 显示不阻塞页面的通知
+   * @param {string} title - 标题
+   * @param {string} message - 内容
+   * @param {number} [duration] - 显示时长（毫秒），默认 3 秒
+   */
+  showNotice(title, message, duration) {
+    if (!window.notificationManager) return;
+
+    const escape = (text) => {
+      const div = document.createElement('div');
+      div.textContent = text;
+      return div.innerHTML;
+    };
+    window.notificationManager.show({
+      html: `
+        <div style="font-weight: 600; margin-bottom: 2px;">${escape(title)}</div>
+        <div style="font-size: 12px; opacity: 0.9;">${escape(message)}</div>
+      `,
+      duration: duration
     });
   }
 
-  escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  /**
+   * 更新生词本中的某个单词（按词形还原匹配）
+   * @param {string} word - 单词
+   * @param {Object} changes - 要更新的字段
+   */
+  async updateVocabularyItem(word, changes) {
+    try {
+      await this.vocabularyClient.update(word, changes);
+      return true;
+    } catch (error) {
+      this.showNotice('保存失败', error.message);
+      return false;
+    }
+  }
+
+  async getVocabulary() {
+    return this.vocabularyClient.query();
   }
 }
 
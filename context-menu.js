@@ -0,0 +1,188 @@
+/**
+ * 生词气泡右键菜单
+ * 只负责菜单、编辑表单和详情面板的显示与关闭，具体操作由 content.js 提供
+ */
+class VocabularyContextMenu {
+  constructor() {
+    this.menu = null;
+    this.cleanup = null; // 关闭菜单时需要移除的事件监听
+
+    this.handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        this.close();
+      }
+    };
+    this.handleOutsideClick = (event) => {
+      if (this.menu && !event.composedPath().includes(this.menu)) {
+        this.close();
+      }
+    };
+    this.handleScroll = (event) => {
+      // 菜单内部（如编辑框）的滚动不关闭菜单
+      if (this.menu && !event.composedPath?.().includes(this.menu)) {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * 显示菜单
+   * @param {Object} options
+   * @param {number} options.x - 鼠标位置（视口坐标）
+   * @param {number} options.y
+   * @param {Node} options.container - 菜单挂载的容器（页面 body 或浮层）
+   * @param {string} options.title - 菜单标题
+   * @param {Array} options.items - { label, icon, onSelect }
+   */
+  show({ x, y, container, title, items }) {
+    this.close();
+
+    const menu = markOwnNode(document.createElement('div'));
+    menu.className = 'vocabulary-context-menu';
+    menu.setAttribute('role', 'menu');
+
+    const header = document.createElement('div');
+    header.className = 'vocabulary-menu-title';
+    header.textContent = title;
+    menu.appendChild(header);
+
+    items.forEach(item => {
+      const button = document.createElement('button');
+      button.className = 'vocabulary-menu-item';
+      button.setAttribute('role', 'menuitem');
+      button.innerHTML = `<span class="vocabulary-menu-icon">${item.icon}</span>`;
+      button.appendChild(document.createTextNode(item.label));
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        item.onSelect();
+      });
+      menu.appendChild(button);
+    });
+
+    this.open(menu, container, x, y);
+    menu.querySelector('.vocabulary-menu-item')?.focus();
+  }
+
+  /**
+   * 在菜单位置显示编辑表单
+   * @param {Object} item - 生词条目
+   * @param {Function} onSave - 保存回调，参数为 { translation, notes }
+   */
+  showEditor(item, onSave) {
+    const menu = this.replaceContent(`编辑 “${item.word}”`);
+    if (!menu) return;
+
+    const form = document.createElement('form');
+    form.className = 'vocabulary-menu-form';
+    form.innerHTML = `
+      <label>翻译<textarea name="translation" rows="2"></textarea></label>
+      <label>笔记<textarea name="notes" rows="3" placeholder="自己的理解、例句..."></textarea></label>
+      <div class="vocabulary-menu-actions">
+        <button type="button" data-action="cancel">取消</button>
+        <button type="submit">保存</button>
+      </div>
+    `;
+    form.elements.translation.value = item.translation || '';
+    form.elements.notes.value = item.notes || '';
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      onSave({
+        translation: form.elements.translation.value.trim(),
+        notes: form.elements.notes.value.trim()
+      });
+      this.close();
+    });
+    form.querySelector('[data-action="cancel"]').addEventListener('click', () => this.close());
+    // 编辑时按键不应触发页面的快捷键
+    form.addEventListener('keydown', (event) => event.stopPropagation());
+
+    menu.appendChild(form);
+    this.keepInViewport();
+    form.elements.translation.focus();
+  }
+
+  /**
+   * 在菜单位置显示生词的全部信息
+   * @param {Object} item - 生词条目
+   * @param {Array} rows - [标签, 内容]
+   */
+  showDetails(item, rows) {
+    const menu = this.replaceContent(item.word);
+    if (!menu) return;
+
+    const details = document.createElement('dl');
+    details.className = 'vocabulary-menu-details';
+    rows.filter(([, value]) => value).forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      details.append(term, description);
+    });
+
+    menu.appendChild(details);
+    this.keepInViewport();
+  }
+
+  replaceContent(title) {
+    if (!this.menu) return null;
+
+    this.menu.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'vocabulary-menu-title';
+    header.textContent = title;
+    this.menu.appendChild(header);
+    return this.menu;
+  }
+
+  open(menu, container, x, y) {
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+    container.appendChild(menu);
+    this.menu = menu;
+    this.keepInViewport();
+
+    // 延迟绑定，避免触发菜单的这次点击立即把菜单关闭
+    const timer = setTimeout(() => {
+      document.addEventListener('click', this.handleOutsideClick, true);
+    }, 0);
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    window.addEventListener('scroll', this.handleScroll, { capture: true, passive: true });
+    window.addEventListener('resize', this.handleScroll, { passive: true });
+
+    this.cleanup = () => {
+      clearTimeout(timer);
+      document.removeEventListener('click', this.handleOutsideClick, true);
+      document.removeEventListener('keydown', this.handleKeyDown, true);
+      window.removeEventListener('scroll', this.handleScroll, { capture: true });
+      window.removeEventListener('resize', this.handleScroll);
+    };
+  }
+
+  /**
+   * 菜单超出视口时向内移动
+   */
+  keepInViewport() {
+    if (!this.menu) return;
+
+    const margin = 8;
+    const rect = this.menu.getBoundingClientRect();
+    const left = Math.min(rect.left, window.innerWidth - rect.width - margin);
+    const top = Math.min(rect.top, window.innerHeight - rect.height - margin);
+
+    this.menu.style.left = `${Math.max(margin, left)}px`;
+    this.menu.style.top = `${Math.max(margin, top)}px`;
+  }
+
+  close() {
+    if (this.cleanup) {
+      this.cleanup();
+      this.cleanup = null;
+    }
+    if (this.menu) {
+      this.menu.remove();
+      this.menu = null;
+    }
+  }
+}
@@ -0,0 +1,81 @@
+// 学习语言设置与分词 - background.js、content.js 和 popup.js 共用
+// 中文、日文、泰文等不用空格分词的文字使用 Intl.Segmenter 按词典切分，其他文字按字母连续片段切分
+
+const LANGUAGES = {
+  en: { name: '英语', sample: 'Hello, this is a pronunciation test.' },
+  de: { name: '德语', sample: 'Hallo, das ist ein Aussprachetest.' },
+  fr: { name: '法语', sample: 'Bonjour, ceci est un test de prononciation.' },
+  es: { name: '西班牙语', sample: 'Hola, esta es una prueba de pronunciación.' },
+  it: { name: '意大利语', sample: 'Ciao, questa è una prova di pronuncia.' },
+  ru: { name: '俄语', sample: 'Здравствуйте, это проверка произношения.' },
+  ja: { name: '日语', sample: 'こんにちは、発音のテストです。' },
+  ko: { name: '韩语', sample: '안녕하세요, 발음 테스트입니다.' },
+  zh: { name: '中文', sample: '你好，这是发音测试。' }
+};
+
+const DEFAULT_LANGUAGES = {
+  source: 'en', // 正在学习的语言（网页上的原文）
+  target: 'zh', // 翻译成的语言
+  explanation: 'zh' // 解释和语法讲解使用的语言
+};
+
+/**
+ * 读取设置中的语言配置，未设置的项使用默认值
+ * @param {Object} settings - chrome.storage.sync 中的 settings 对象
+ * @returns {Object} 与 DEFAULT_LANGUAGES 结构相同
+ */
+function resolveLanguages(settings = {}) {
+  return { ...DEFAULT_LANGUAGES, ...(settings.languages || {}) };
+}
+
+/**
+ * @param {string} code - 语言代码
+ * @returns {string} 语言的中文名称，未知代码原样返回
+ */
+function languageName(code) {
+  return LANGUAGES[code] ? LANGUAGES[code].name : code;
+}
+
+// 不用空格分隔单词的文字
+const UNSPACED_SCRIPT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+const WORD_SEGMENTERS = new Map();
+
+function getWordSegmenter(language) {
+  const key = language || '';
+  if (!WORD_SEGMENTERS.has(key)) {
+    WORD_SEGMENTERS.set(key, new Intl.Segmenter(language || undefined, { granularity: 'word' }));
+  }
+  return WORD_SEGMENTERS.get(key);
+}
+
+/**
+ * 把文本切分为单词，结合重音符号（如分解形式的 é）算作单词的一部分
+ * 只有包含不用空格分词的文字时才使用 Intl.Segmenter，其余文本用正则，扫描大页面时更快
+ * @param {string} text - 文本
+ * @param {string} [language] - 文本的语言代码
+ * @returns {Array<Object>} { text, start, end }
+ */
+function segmentWords(text, language) {
+  const source = String(text || '');
+  const words = [];
+
+  if (typeof Intl !== 'undefined' && Intl.Segmenter && UNSPACED_SCRIPT_PATTERN.test(source)) {
+    for (const segment of getWordSegmenter(language).segment(source)) {
+      if (!segment.isWordLike) continue;
+      words.push({
+        text: segment.segment,
+        start: segment.index,
+        end: segment.index + segment.segment.length
+      });
+    }
+    return words;
+  }
+
+  const pattern = /[\p{L}\p{M}\p{N}]+/gu;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    words.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+}
@@ -0,0 +1,164 @@
+// 学习统计 - background.js 记录查询日志，popup.js 计算并显示统计
+// 查询日志保存在 chrome.storage.local 的 lookup_log 中（每次查询一条 { word, time, site }）；
+// 日志出现之前的历史用生词的 createdAt 和各义项的查询时间估算
+// 使用 usage.js 的 usageDateKey、usageSite，LookupLog 的读写见 storage-record.js
+
+const MAX_LOOKUP_EVENTS = 10000; // 超出后删除最早的记录
+
+/**
+ * @param {string} day - 日期，如 2024-05-01
+ * @returns {string} 所在周的周一
+ */
+function weekStartKey(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  const time = new Date(year, month - 1, date);
+  time.setDate(time.getDate() - (time.getDay() + 6) % 7);
+  return usageDateKey(time.getTime());
+}
+
+/**
+ * 最近 days 天的日期（含今天），从早到晚
+ * @param {number} days - 天数
+ * @param {number} [now] - 当前时间
+ * @returns {Array<string>} 日期列表
+ */
+function recentDays(days, now = Date.now()) {
+  const today = new Date(now);
+  const keys = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    keys.push(usageDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset).getTime()));
+  }
+  return keys;
+}
+
+function countBy(map, key, amount = 1) {
+  map[key] = (map[key] || 0) + amount;
+}
+
+/**
+ * 计算连续学习天数：截至今天（今天还没有查询时截至昨天）的连续天数，以及历史最长连续天数
+ * @param {Set<string>} activeDays - 有学习记录的日期
+ * @param {number} [now] - 当前时间
+ * @returns {Object} { current, longest }
+ */
+function computeStreak(activeDays, now = Date.now()) {
+  const previousDay = (day) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return usageDateKey(new Date(year, month - 1, date - 1).getTime());
+  };
+
+  let current = 0;
+  let day = usageDateKey(now);
+  if (!activeDays.has(day)) day = previousDay(day);
+  while (activeDays.has(day)) {
+    current++;
+    day = previousDay(day);
+  }
+
+  let longest = 0;
+  activeDays.forEach(start => {
+    if (activeDays.has(previousDay(start))) return; // 只从每段连续记录的第一天开始数
+    let length = 0;
+    const [year, month, date] = start.split('-').map(Number);
+    while (activeDays.has(usageDateKey(new Date(year, month - 1, date + length).getTime()))) length++;
+    longest = Math.max(longest, length);
+  });
+
+  return { current, longest };
+}
+
+/**
+ * 根据生词本和查询日志计算学习统计
+ * @param {Array} vocabulary - 生词本
+ * @param {Array} events - 查询日志 { word, time, site }
+ * @param {number} [now] - 当前时间
+ * @returns {Object} {
+ *   totalWords, totalLookups,
+ *   addedByDay: { 日期: 新增生词数 }, addedByWeek: { 周一日期: 新增生词数 },
+ *   lookupsByDay: { 日期: 查询次数 },
+ *   topWords: [{ word, lookupCount }], bySite: [{ site, count }],
+ *   streak: { current, longest }
+ * }
+ */
+function computeLearningStats(vocabulary, events, now = Date.now()) {
+  const addedByDay = {};
+  const addedByWeek = {};
+  const lookupsByDay = {};
+  const siteCounts = {};
+  let totalLookups = 0;
+
+  // 日志开始之前的查询只能从生词本中估算：新增当天和各义项最近一次查询的日期，每个单词每天算一次
+  const logStart = events.length > 0 ? usageDateKey(events[0].time) : null;
+  const isBeforeLog = (day) => logStart === null || day < logStart;
+
+  vocabulary.forEach(item => {
+    const senses = withSenses(item).senses;
+    const created = item.createdAt || item.timestamp;
+    if (created) {
+      const day = usageDateKey(created);
+      countBy(addedByDay, day);
+      countBy(addedByWeek, weekStartKey(day));
+    }
+
+    const days = new Set([created, ...senses.map(sense => sense.timestamp)]
+      .filter(Boolean)
+      .map(time => usageDateKey(time)));
+    days.forEach(day => {
+      if (isBeforeLog(day)) countBy(lookupsByDay, day);
+    });
+
+    totalLookups += item.lookupCount || 1;
+
+    // 来源网站取第一次保存时的网页
+    const site = usageSite(senses[0] && senses[0].url);
+    if (site) countBy(siteCounts, site);
+  });
+
+  events.forEach(event => countBy(lookupsByDay, usageDateKey(event.time)));
+
+  const topWords = vocabulary
+    .map(item => ({ word: item.word, lookupCount: item.lookupCount || 1 }))
+    .sort((a, b) => b.lookupCount - a.lookupCount || a.word.localeCompare(b.word))
+    .slice(0, 10);
+
+  const bySite = Object.entries(siteCounts)
+    .map(([site, count]) => ({ site, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 10);
+
+  const activeDays = new Set([...Object.keys(lookupsByDay), ...Object.keys(addedByDay)]);
+
+  return {
+    totalWords: vocabulary.length,
+    totalLookups: totalLookups,
+    addedByDay: addedByDay,
+    addedByWeek: addedByWeek,
+    lookupsByDay: lookupsByDay,
+    topWords: topWords,
+    bySite: bySite,
+    streak: computeStreak(activeDays, now)
+  };
+}
+
+/**
+ * 查询日志 - 只由 background.js 写入
+ */
+class LookupLog extends StorageRecord {
+  constructor() {
+    super('lookup_log', () => []); // 按时间排列的查询记录
+  }
+
+  /**
+   * 记录一次查询
+   * @param {string} word - 生词本中的单词
+   * @param {string} [url] - 查询所在的网页
+   */
+  async record(word, url) {
+    const events = await this.load();
+    events.push({ word: word, time: Date.now(), site: usageSite(url) });
+    if (events.length > MAX_LOOKUP_EVENTS) {
+      events.splice(0, events.length - MAX_LOOKUP_EVENTS);
+    }
+    await this.persist();
+  }
+}
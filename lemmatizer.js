@@ -0,0 +1,197 @@
+/**
+ * 英文词形还原 - 离线规则
+ * 先查不规则变化表，再按 Porter 算法第一步的后缀规则去掉复数、过去式和进行时后缀
+ * 得到的是用于比较的词根键（如 running/ran/runs → run，studies/studied → studi），不一定是完整单词
+ */
+
+// 不规则动词：原形 过去式 过去分词（多个形式用 / 分隔）
+const IRREGULAR_VERBS = `
+arise arose arisen|awake awoke awoken|be was/were been|bear bore borne/born|beat beat beaten|
+become became become|begin began begun|bend bent bent|bet bet bet|bind bound bound|bite bit bitten|
+bleed bled bled|blow blew blown|break broke broken|breed bred bred|bring brought brought|
+build built built|burn burnt burnt|burst burst burst|buy bought bought|catch caught caught|
+choose chose chosen|cling clung clung|come came come|cost cost cost|creep crept crept|cut cut cut|
+deal dealt dealt|dig dug dug|do did done|draw drew drawn|dream dreamt dreamt|drink drank drunk|
+drive drove driven|eat ate eaten|fall fell fallen|feed fed fed|feel felt felt|fight fought fought|
+find found found|flee fled fled|fly flew flown|forbid forbade forbidden|forget forgot forgotten|
+forgive forgave forgiven|freeze froze frozen|get got got/gotten|give gave given|go went gone|
+grind ground ground|grow grew grown|hang hung hung|have had had|hear heard heard|hide hid hidden|
+hit hit hit|hold held held|hurt hurt hurt|keep kept kept|kneel knelt knelt|know knew known|
+lay laid laid|lead led led|lean leant leant|leap leapt leapt|learn learnt learnt|leave left left|
+lend lent lent|let let let|lie lay lain|light lit lit|lose lost lost|make made made|mean meant meant|
+meet met met|mistake mistook mistaken|overcome overcame overcome|pay paid paid|prove proved proven|
+put put put|quit quit quit|read read read|ride rode ridden|ring rang rung|rise rose risen|run ran run|
+say said said|see saw seen|seek sought sought|sell sold sold|send sent sent|set set set|
+sew sewed sewn|shake shook shaken|shed shed shed|shine shone shone|shoot shot shot|show showed shown|
+shrink shrank shrunk|shut shut shut|sing sang sung|sink sank sunk|sit sat sat|sleep slept slept|
+slide slid slid|sling slung slung|speak spoke spoken|speed sped sped|spend spent spent|spill spilt spilt|
+spin spun spun|spit spat spat|split split split|spread spread spread|spring sprang sprung|
+stand stood stood|steal stole stolen|stick stuck stuck|sting stung stung|stink stank stunk|
+strike struck struck|strive strove striven|swear swore sworn|sweep swept swept|swell swelled swollen|
+swim swam swum|swing swung swung|take took taken|teach taught taught|tear tore torn|tell told told|
+think thought thought|throw threw thrown|tread trod trodden|understand understood understood|
+undertake undertook undertaken|upset upset upset|wake woke woken|wear wore worn|weave wove woven|
+weep wept wept|win won won|wind wound wound|withdraw withdrew withdrawn|wring wrung wrung|write wrote written
+`;
+
+// 其他不规则形式：变化形式 原形
+const IRREGULAR_FORMS = {
+  am: 'be', is: 'be', are: 'be', been: 'be', being: 'be',
+  has: 'have', does: 'do', goes: 'go',
+  children: 'child', men: 'man', women: 'woman', people: 'person', mice: 'mouse', geese: 'goose',
+  feet: 'foot', teeth: 'tooth', lice: 'louse', oxen: 'ox', dice: 'die',
+  analyses: 'analysis', crises: 'crisis', theses: 'thesis', phenomena: 'phenomenon', criteria: 'criterion',
+  data: 'datum', media: 'medium', cacti: 'cactus', fungi: 'fungus', nuclei: 'nucleus', radii: 'radius',
+  knives: 'knife', lives: 'life', wives: 'wife', leaves: 'leaf', wolves: 'wolf', halves: 'half',
+  shelves: 'shelf', thieves: 'thief', loaves: 'loaf', selves: 'self', calves: 'calf',
+  better: 'good', best: 'good', worse: 'bad', worst: 'bad', more: 'many', most: 'many',
+  less: 'little', least: 'little', further: 'far', furthest: 'far', farther: 'far', farthest: 'far'
+};
+
+// 展开为 { 变化形式: 原形 }，原形本身不放入表中
+const IRREGULAR_LEMMAS = (() => {
+  const table = { ...IRREGULAR_FORMS };
+  IRREGULAR_VERBS.split('|').forEach(entry => {
+    const [base, ...forms] = entry.trim().split(/\s+/);
+    forms.join('/').split('/').forEach(form => {
+      if (form !== base && !table[form]) {
+        table[form] = base;
+      }
+    });
+  });
+  return table;
+})();
+
+/**
+ * Porter 算法中的辅音判断（y 在元音后视为辅音，在辅音后视为元音）
+ */
+function isConsonantAt(word, index) {
+  const char = word[index];
+  if ('aeiou'.includes(char)) return false;
+  if (char === 'y') return index === 0 || !isConsonantAt(word, index - 1);
+  return true;
+}
+
+/**
+ * 词干的"度量"：元音-辅音序列的个数
+ */
+function measureStem(stem) {
+  let count = 0;
+  let previousVowel = false;
+  for (let i = 0; i < stem.length; i++) {
+    const consonant = isConsonantAt(stem, i);
+    if (consonant && previousVowel) count++;
+    previousVowel = !consonant;
+  }
+  return count;
+}
+
+function stemHasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonantAt(stem, i)) return true;
+  }
+  return false;
+}
+
+/**
+ * 是否以 辅音-元音-辅音 结尾，且最后的辅音不是 w、x、y（如 hop、run）
+ */
+function endsWithCvc(stem) {
+  const n = stem.length;
+  if (n < 3) return false;
+  return isConsonantAt(stem, n - 3) && !isConsonantAt(stem, n - 2) && isConsonantAt(stem, n - 1) &&
+    !'wxy'.includes(stem[n - 1]);
+}
+
+// 扫描大页面时同一个单词会出现很多次，缓存还原结果
+const LEMMA_CACHE = new Map();
+const LEMMA_CACHE_LIMIT = 20000;
+
+/**
+ * @param {string} [language] - 语言代码，未指定时为默认的学习语言
+ * @returns {boolean} 是否按英文规则还原（德语 bitten、das 等不能去掉英文后缀）
+ */
+function isLemmatizedLanguage(language = DEFAULT_LANGUAGES.source) {
+  return String(language || DEFAULT_LANGUAGES.source).toLowerCase().split('-')[0] === 'en';
+}
+
+/**
+ * 还原单个英文单词，其他语言和非英文单词原样返回（转为小写并统一为 NFC 形式，é 的两种写法视为相同）
+ * @param {string} word - 单词
+ * @param {string} [language] - 单词的语言代码，只有英语才还原
+ * @returns {string} 词根键
+ */
+function lemmatizeWord(word, language) {
+  const lower = String(word || '').toLowerCase().normalize('NFC');
+  if (!isLemmatizedLanguage(language)) return lower;
+  if (LEMMA_CACHE.has(lower)) return LEMMA_CACHE.get(lower);
+
+  const lemma = computeLemma(lower);
+  if (LEMMA_CACHE.size >= LEMMA_CACHE_LIMIT) {
+    LEMMA_CACHE.clear();
+  }
+  LEMMA_CACHE.set(lower, lemma);
+  return lemma;
+}
+
+function computeLemma(lower) {
+  let w = lower;
+  if (!/^[a-z]+$/.test(w)) return w;
+
+  if (IRREGULAR_LEMMAS[w]) {
+    w = IRREGULAR_LEMMAS[w];
+  }
+  if (w.length <= 2) return w;
+
+  // 复数和第三人称单数
+  if (w.endsWith('sses')) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('ies')) {
+    w = w.slice(0, -2);
+  } else if (/(x|z|ch|sh)es$/.test(w)) {
+    w = w.slice(0, -2); // boxes → box
+  } else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  // 过去式和进行时
+  if (w.endsWith('eed')) {
+    if (measureStem(w.slice(0, -3)) > 0) {
+      w = w.slice(0, -1);
+    }
+  } else {
+    const suffix = w.endsWith('ed') ? 'ed' : w.endsWith('ing') ? 'ing' : null;
+    const stem = suffix ? w.slice(0, -suffix.length) : null;
+
+    if (stem && stemHasVowel(stem)) {
+      w = stem;
+      const last = w[w.length - 1];
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e'; // related → relate
+      } else if (w.length > 3 && last === w[w.length - 2] && isConsonantAt(w, w.length - 1) && !'lsz'.includes(last)) {
+        w = w.slice(0, -1); // running → run
+      } else if ((measureStem(w) === 1 && endsWithCvc(w)) || /^[aeiou][^aeiouwxy]$/.test(w)) {
+        w += 'e'; // making → make, using → use
+      }
+    }
+  }
+
+  // study / studies / studied 统一为同一词根
+  if (w.endsWith('y') && stemHasVowel(w.slice(0, -1))) {
+    w = w.slice(0, -1) + 'i';
+  }
+
+  return w;
+}
+
+/**
+ * 还原单词或词组，词组中的每个单词分别还原（与 VocabularyMatcher 一样使用 languages.js 的 segmentWords 分词）
+ * @param {string} text - 单词或词组
+ * @param {string} [language] - 语言代码，只有英语才还原，其他语言为小写的原形
+ * @returns {string} 用于去重和匹配的键
+ */
+function lemmaKey(text, language) {
+  return segmentWords(text, language)
+    .map(word => lemmatizeWord(word.text, language))
+    .join(' ');
+}
@@ -0,0 +1,123 @@
+// 存储结构版本与迁移
+// 由 background.js 通过 importScripts 引入，在安装和更新时按版本号依次执行尚未执行的迁移
+// 迁移直接读写存储，只能在 VocabularyStore 的队列中运行（见 VocabularyStore.migrate 和 load）
+// 当前版本号保存在 chrome.storage.local 的 schema_version 中
+//
+// 存储布局（版本 3）：
+// - chrome.storage.sync：active_provider、provider_configs、deepseek_api_key（旧版兼容）、settings、prompt_templates
+// - chrome.storage.local：schema_version、vocabulary、translation_cache、usage、lookup_log（后两项不存在时视为空，无需迁移）
+//
+// 新增字段时在 STORAGE_MIGRATIONS 末尾追加一项，不要修改已发布的迁移
+
+const SCHEMA_VERSION_KEY = 'schema_version';
+
+function storageGet(area, keys) {
+  return new Promise((resolve) => {
+    chrome.storage[area].get(keys, resolve);
+  });
+}
+
+function storageSet(area, items) {
+  return new Promise((resolve) => {
+    chrome.storage[area].set(items, resolve);
+  });
+}
+
+function storageRemove(area, keys) {
+  return new Promise((resolve) => {
+    chrome.storage[area].remove(keys, resolve);
+  });
+}
+
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: '生词本统一保存在 chrome.storage.local',
+    async migrate() {
+      // 旧版本的 onInstalled 把 vocabulary 写入了 sync，而读写一直使用 local
+      const { vocabulary: syncVocabulary } = await storageGet('sync', ['vocabulary']);
+      if (syncVocabulary === undefined) return;
+
+      if (Array.isArray(syncVocabulary) && syncVocabulary.length > 0) {
+        const { vocabulary = [] } = await storageGet('local', ['vocabulary']);
+        const existingKeys = new Set(vocabulary.map(item => lemmaKey(item.word, item.language)));
+        const missing = syncVocabulary.filter(item =>
+          item && item.word && !existingKeys.has(lemmaKey(item.word, item.language))
+        );
+        if (missing.length > 0) {
+          await storageSet('local', { vocabulary: [...vocabulary, ...missing] });
+        }
+      }
+
+      await storageRemove('sync', ['vocabulary']);
+    }
+  },
+  {
+    version: 2,
+    description: '生词补充首次保存时间和查询次数',
+    async migrate() {
+      const { vocabulary } = await storageGet('local', ['vocabulary']);
+      if (!Array.isArray(vocabulary) || vocabulary.length === 0) return;
+
+      await storageSet('local', {
+        vocabulary: vocabulary.map(item => ({
+          ...item,
+          createdAt: item.createdAt || item.timestamp || Date.now(),
+          lookupCount: item.lookupCount || 1
+        }))
+      });
+    }
+  },
+  {
+    version: 3,
+    description: '生词改为保存多个义项（senses）',
+    async migrate() {
+      const { vocabulary } = await storageGet('local', ['vocabulary']);
+      if (!Array.isArray(vocabulary) || vocabulary.length === 0) return;
+
+      await storageSet('local', {
+        vocabulary: vocabulary.map(item => syncPrimarySense(withSenses(item)))
+      });
+    }
+  }
+];
+
+const STORAGE_SCHEMA_VERSION = STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
+
+let migrationRun = null; // 同一时间只运行一次
+
+/**
+ * 执行所有版本号大于当前 schema_version 的迁移，每完成一个就更新版本号
+ * 迁移失败时停止，下次安装或更新时从失败的版本重新开始
+ * @returns {Promise<number>} 迁移后的版本号
+ */
+function runStorageMigrations() {
+  if (!migrationRun) {
+    migrationRun = (async () => {
+      const stored = await storageGet('local', [SCHEMA_VERSION_KEY]);
+      let version = stored[SCHEMA_VERSION_KEY] || 0;
+      if (version >= STORAGE_SCHEMA_VERSION) return version; // 已是最新结构
+
+      for (const migration of STORAGE_MIGRATIONS) {
+        if (migration.version <= version) continue;
+
+        try {
+          await migration.migrate();
+        } catch (error) {
+          console.error(`存储迁移 ${migration.version} 失败（${migration.description}）:`, error);
+          break;
+        }
+
+        version = migration.version;
+        await storageSet('local', { [SCHEMA_VERSION_KEY]: version });
+        console.log(`存储已迁移到版本 ${version}：${migration.description}`);
+      }
+
+      return version;
+    })().finally(() => {
+      migrationRun = null;
+    });
+  }
+
+  return migrationRun;
+}
@@ -0,0 +1,112 @@
+// 模型可以调用的函数 - background.js、content.js 和 popup.js 共用
+// 模型在翻译结果的 function_calls 中调用；background.js 用 filterModelActions 按 arguments 校验并丢弃未知或无效的调用，
+// 结果随翻译一起返回给发起请求的标签页，content.js 用 summarizeModelActions 汇总后显示在气泡、卡片或通知中
+//
+// 新增函数：在 MODEL_ACTIONS 中声明参数和 apply（把参数汇总到 summary），再在卡片中显示对应字段
+
+const WORD_REGISTERS = {
+  formal: '正式',
+  slang: '俚语',
+  offensive: '冒犯'
+};
+
+const MODEL_ACTIONS = {
+  alert: {
+    description: '提醒用户需要特别注意的用法，如冒犯性或容易误用的词',
+    arguments: {
+      message: { type: 'string', required: true }
+    },
+    apply(summary, args) {
+      summary.alerts.push(args.message);
+    }
+  },
+  add_tag: {
+    description: '给单词加一个主题标签，如“商务”“医学”',
+    arguments: {
+      tag: { type: 'string', required: true }
+    },
+    apply(summary, args) {
+      if (!summary.tags.includes(args.tag)) summary.tags.push(args.tag);
+    }
+  },
+  set_register: {
+    description: '标注语体：formal（正式）、slang（俚语）或 offensive（冒犯）',
+    arguments: {
+      register: { type: 'string', required: true, enum: Object.keys(WORD_REGISTERS) }
+    },
+    apply(summary, args) {
+      summary.register = args.register;
+    }
+  },
+  suggest_related_words: {
+    description: '推荐几个同义词、反义词或同根词',
+    arguments: {
+      words: { type: 'array', required: true, items: { type: 'string', required: true } }
+    },
+    apply(summary, args) {
+      args.words.forEach(word => {
+        if (!summary.relatedWords.includes(word)) summary.relatedWords.push(word);
+      });
+    }
+  },
+  mark_false_friend: {
+    description: '单词是“假朋友”（与翻译语言中形近的词意思不同）时说明区别',
+    arguments: {
+      note: { type: 'string', required: true }
+    },
+    apply(summary, args) {
+      summary.falseFriend = args.note;
+    }
+  }
+};
+
+/**
+ * 列出可调用的函数，用于提示词模板的 {{actions}} 变量
+ * @returns {string} 每行一个函数，如 "- alert(message: string)：提醒用户..."
+ */
+function describeModelActions() {
+  return Object.entries(MODEL_ACTIONS).map(([name, action]) => {
+    const args = Object.entries(action.arguments).map(([key, schema]) => {
+      const type = schema.enum ? schema.enum.join(' | ') : schema.type === 'array' ? `${schema.items.type}[]` : schema.type;
+      return `${key}: ${type}`;
+    }).join(', ');
+    return `- ${name}(${args})：${action.description}`;
+  }).join('\n');
+}
+
+/**
+ * 按 MODEL_ACTIONS 声明的参数校验模型的函数调用，未知或参数无效的调用记录日志后丢弃
+ * 只在 background.js 中调用（需要 response-schema.js 的 validateSchema）
+ * @param {Array|null} [calls] - function_calls，模型可能返回 null
+ * @returns {Array} 有效的调用
+ */
+function filterModelActions(calls) {
+  return (calls || []).filter(call => {
+    const action = MODEL_ACTIONS[call.name];
+    if (!action) {
+      console.warn('忽略未知的函数调用:', call);
+      return false;
+    }
+
+    const errors = validateSchema(call.arguments || {}, { type: 'object', properties: action.arguments }, call.name);
+    if (errors.length > 0) {
+      console.warn(`忽略参数无效的函数调用 ${call.name}:`, errors);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * 把已校验的调用汇总为可以显示和保存的字段，未知的调用忽略
+ * @param {Array|null} [calls] - function_calls
+ * @returns {Object} { alerts, tags, register, relatedWords, falseFriend }
+ */
+function summarizeModelActions(calls) {
+  const summary = { alerts: [], tags: [], register: '', relatedWords: [], falseFriend: '' };
+  (calls || []).forEach(call => {
+    const action = MODEL_ACTIONS[call.name];
+    if (action) action.apply(summary, call.arguments || {});
+  });
+  return summary;
+}
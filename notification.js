@@ -11,7 +11,7 @@ class NotificationManager {
       position = 'top-right'
     } = options;
 
-    const notification = document.createElement('div');
+    const notification = markOwnNode(document.createElement('div'));
     notification.style.cssText = `
       position: fixed;
       top: 20px;
@@ -0,0 +1,173 @@
+/**
+ * 浮层渲染器 - 在独立的 Shadow DOM 中绘制气泡
+ * 不拆分、不修改页面的文本节点，气泡位置由 Range.getClientRects() 计算，
+ * 滚动和窗口大小变化时重新定位。页面CSS无法影响 Shadow DOM 中的气泡样式。
+ */
+class OverlayRenderer {
+  constructor() {
+    this.host = null; // 挂在 <html> 下的宿主元素，页面正文不受影响
+    this.shadow = null;
+    this.layer = null;
+    this.annotations = []; // { range, anchor, element }
+    this.updateScheduled = false;
+
+    this.handleViewportChange = () => this.scheduleUpdate();
+  }
+
+  /**
+   * 创建宿主元素和 Shadow DOM（首次使用时）
+   */
+  mount() {
+    if (this.host) return;
+
+    this.host = markOwnNode(document.createElement('goodbye-word-overlay'));
+    this.shadow = this.host.attachShadow({ mode: 'open' });
+
+    const reset = document.createElement('style');
+    reset.textContent = `
+      :host {
+        all: initial;
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 0;
+        height: 0;
+        z-index: 2147483646;
+        pointer-events: none;
+      }
+      .overlay-anchor {
+        position: fixed;
+        transform: translateY(-100%);
+        pointer-events: auto;
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      }
+      .overlay-anchor .smart-translation-bubble {
+        margin: 0 0 2px 0;
+      }
+    `;
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = chrome.runtime.getURL('content.css');
+
+    this.layer = document.createElement('div');
+    this.shadow.append(reset, stylesheet, this.layer);
+    document.documentElement.appendChild(this.host);
+
+    window.addEventListener('scroll', this.handleViewportChange, { capture: true, passive: true });
+    window.addEventListener('resize', this.handleViewportChange, { passive: true });
+  }
+
+  unmount() {
+    if (!this.host) return;
+
+    window.removeEventListener('scroll', this.handleViewportChange, { capture: true });
+    window.removeEventListener('resize', this.handleViewportChange);
+    this.host.remove();
+    this.host = null;
+    this.shadow = null;
+    this.layer = null;
+    this.annotations = [];
+  }
+
+  /**
+   * 在 range 上方显示一个气泡
+   * @param {Range} range - 气泡对应的页面文本
+   * @param {HTMLElement} element - 气泡元素
+   */
+  attach(range, element) {
+    this.mount();
+
+    const anchor = document.createElement('div');
+    anchor.className = 'overlay-anchor';
+    anchor.appendChild(element);
+    this.layer.appendChild(anchor);
+
+    const annotation = { range: range, anchor: anchor, element: element };
+    this.annotations.push(annotation);
+    this.position(annotation);
+  }
+
+  /**
+   * 移除满足条件的气泡
+   * @param {Function} predicate - 接收 annotation，返回 true 时移除
+   */
+  remove(predicate) {
+    this.annotations = this.annotations.filter(annotation => {
+      if (!predicate(annotation)) return true;
+      annotation.anchor.remove();
+      return false;
+    });
+  }
+
+  /**
+   * 移除某个文本节点上的所有生词气泡（文本变化后需要重新匹配）
+   * @param {Text} textNode - 文本节点
+   */
+  removeForNode(textNode) {
+    this.remove(annotation =>
+      annotation.range.startContainer === textNode &&
+      annotation.element.classList.contains('vocabulary-bubble')
+    );
+  }
+
+  /**
+   * 查找与 range 重叠的气泡
+   * @param {Range} range - 页面文本范围
+   * @param {string} selector - 气泡需要满足的选择器
+   * @returns {HTMLElement|null}
+   */
+  findIntersecting(range, selector) {
+    const annotation = this.annotations.find(item => {
+      if (!item.element.matches(selector)) return false;
+      try {
+        return item.range.compareBoundaryPoints(Range.END_TO_START, range) <= 0 &&
+          item.range.compareBoundaryPoints(Range.START_TO_END, range) >= 0;
+      } catch (error) {
+        return false; // 不在同一个文档中
+      }
+    });
+    return annotation ? annotation.element : null;
+  }
+
+  scheduleUpdate() {
+    if (this.updateScheduled || this.annotations.length === 0) return;
+    this.updateScheduled = true;
+
+    requestAnimationFrame(() => {
+      this.updateScheduled = false;
+      this.update();
+    });
+  }
+
+  /**
+   * 重新定位所有气泡，并清理已被关闭或文本已被页面移除的气泡
+   */
+  update() {
+    this.annotations = this.annotations.filter(annotation => {
+      if (!annotation.element.isConnected || !annotation.range.startContainer.isConnected) {
+        annotation.anchor.remove();
+        return false;
+      }
+      this.position(annotation);
+      return true;
+    });
+  }
+
+  position(annotation) {
+    const rects = annotation.range.getClientRects();
+    const rect = rects[0];
+    const visible = rect && rect.width > 0 &&
+      rect.bottom > 0 && rect.top < window.innerHeight &&
+      rect.right > 0 && rect.left < window.innerWidth;
+
+    if (!visible) {
+      annotation.anchor.style.display = 'none';
+      return;
+    }
+
+    annotation.anchor.style.display = '';
+    annotation.anchor.style.left = `${Math.round(rect.left)}px`;
+    annotation.anchor.style.top = `${Math.round(rect.top)}px`;
+  }
+}
@@ -0,0 +1,15 @@
+// 插件插入网页的元素 - 内容脚本共用
+// 气泡、面板、卡片、菜单和通知的根元素都带有同一个属性，
+// content.js 的 MutationObserver 据此跳过插件自己引起的变化，不会重新扫描
+
+const OWN_NODE_ATTRIBUTE = 'data-goodbye-word';
+
+/**
+ * 标记插件插入网页的根元素（其中的子节点也视为插件的节点）
+ * @param {HTMLElement} element - 根元素
+ * @returns {HTMLElement} 同一个元素
+ */
+function markOwnNode(element) {
+  element.setAttribute(OWN_NODE_ATTRIBUTE, '');
+  return element;
+}
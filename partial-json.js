@@ -0,0 +1,61 @@
+// 流式输出时从尚未完整的 JSON 文本中提取字符串字段
+// 由 background.js 通过 importScripts 引入，模型每输出一段就重新提取一次
+
+/**
+ * 从不完整的 JSON 中读取顶层字符串字段的当前值
+ * 例如 '{"word": "run", "translation": "v. 跑' 可以得到 { word: 'run', translation: 'v. 跑' }
+ * @param {string} text - 目前收到的全部文本（可能带有 ```json 代码块标记）
+ * @param {Array<string>} fields - 需要提取的字段名
+ * @returns {Object} 已出现的字段及其（可能不完整的）值
+ */
+function extractPartialFields(text, fields) {
+  const result = {};
+
+  fields.forEach(field => {
+    const pattern = new RegExp(`"${field}"\\s*:\\s*"`);
+    const match = pattern.exec(text);
+    if (!match) return;
+
+    result[field] = readPartialString(text, match.index + match[0].length);
+  });
+
+  return result;
+}
+
+/**
+ * 从起始引号之后读取 JSON 字符串，遇到结束引号或文本结尾时停止
+ * 文本结尾处被截断的转义序列会被丢弃，等下一段输出到达后再解析
+ * @param {string} text - 文本
+ * @param {number} start - 字符串内容的起始位置
+ * @returns {string}
+ */
+function readPartialString(text, start) {
+  const escapes = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+  let value = '';
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '"') break;
+
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+
+    const next = text[i + 1];
+    if (next === undefined) break;
+
+    if (next === 'u') {
+      const hex = text.substr(i + 2, 4);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      value += escapes[next] !== undefined ? escapes[next] : next;
+      i += 1;
+    }
+  }
+
+  return value;
+}
@@ -2,16 +2,31 @@
 class PopupManager {
   constructor() {
     this.currentTab = 'vocabulary';
+    this.settings = {}; // chrome.storage.sync 中的 settings 对象
     this.vocabulary = [];
+    this.vocabularyClient = new VocabularyClient(); // 生词本由 background 统一管理
     this.filteredVocabulary = [];
+    this.reviewQueue = []; // 本轮待复习的生词
+    this.importPlan = null; // 等待确认的导入预览
+    this.currentSiteUrl = null; // 当前标签页的网址（仅 http/https）
+    this.currentPageTitle = ''; // 当前标签页的标题，用于预览提示词
+    this.promptTemplates = null; // 设置页中正在编辑的提示词模板（保存设置时写入）
+    this.promptType = 'word'; // 编辑器中显示的模板类型
+    this.usage = {}; // background 记录的 token 用量
+    this.lookupEvents = []; // background 记录的查询日志，用于学习统计
     this.init();
   }
 
   async init() {
     this.bindEvents();
     await this.loadSettings();
+    await this.loadCurrentSite();
     await this.loadVocabulary();
+    // 其他标签页保存生词或本窗口修改后刷新列表
+    this.vocabularyClient.subscribe(() => this.loadVocabulary());
     this.updateStatusIndicator();
+    this.loadCacheStats();
+    this.loadUsage();
   }
 
   bindEvents() {
@@ -27,11 +42,58 @@ class PopupManager {
       this.filterVocabulary(e.target.value);
     });
 
+    // 导入导出
+    document.getElementById('exportVocabulary').addEventListener('click', () => {
+      this.exportVocabulary(document.getElementById('exportFormat').value);
+    });
+
+    document.getElementById('importVocabulary').addEventListener('click', () => {
+      document.getElementById('importFile').click();
+    });
+
+    document.getElementById('importFile').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // 允许再次选择同一个文件
+      if (file) {
+        this.previewImport(file);
+      }
+    });
+
+    document.getElementById('importResolution').addEventListener('change', (e) => {
+      document.querySelectorAll('#importConflicts select').forEach(select => {
+        select.value = e.target.value;
+      });
+    });
+
+    document.getElementById('confirmImport').addEventListener('click', () => {
+      this.confirmImport();
+    });
+
+    document.getElementById('cancelImport').addEventListener('click', () => {
+      this.closeImportPreview();
+    });
+
+    // 复习
+    document.getElementById('revealAnswer').addEventListener('click', () => {
+      this.revealAnswer();
+    });
+
+    document.getElementById('reviewGrades').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-grade]');
+      if (button) {
+        this.gradeCard(parseInt(button.dataset.grade));
+      }
+    });
+
     // 清空生词本
     document.getElementById('clearVocabulary').addEventListener('click', () => {
       this.clearVocabulary();
     });
 
+    document.getElementById('statsAddedPeriod').addEventListener('change', () => {
+      this.renderStats();
+    });
+
     // 设置相关
     document.getElementById('saveSettings').addEventListener('click', () => {
       this.saveSettings();
@@ -41,8 +103,82 @@ class PopupManager {
       this.testApi();
     });
 
-    document.getElementById('toggleApiKey').addEventListener('click', () => {
-      this.toggleApiKeyVisibility();
+    document.getElementById('clearCache').addEventListener('click', () => {
+      this.clearCache();
+    });
+
+    // 用量：修改单价或预算时立即重新估算（保存后才对翻译生效）
+    document.getElementById('usageRangeSelect').addEventListener('change', () => {
+      this.renderUsage();
+    });
+
+    ['usagePrices', 'dailyBudget', 'monthlyBudget', 'usageCurrency'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => {
+        this.renderUsage();
+      });
+    });
+
+    document.getElementById('clearUsage').addEventListener('click', () => {
+      this.clearUsage();
+    });
+
+    document.getElementById('providerSelect').addEventListener('change', (e) => {
+      this.switchProvider(e.target.value);
+      this.renderUsage(); // 当前服务未设置单价时提示预算不生效
+    });
+
+    document.getElementById('sourceLanguageSelect').addEventListener('change', (e) => {
+      // 口音和语音随学习语言变化
+      this.renderAccents(e.target.value);
+      this.loadVoices('');
+    });
+
+    document.getElementById('accentSelect').addEventListener('change', () => {
+      this.loadVoices();
+    });
+
+    document.getElementById('speechRate').addEventListener('input', (e) => {
+      document.getElementById('speechRateValue').textContent = `${e.target.value}x`;
+    });
+
+    document.getElementById('previewVoice').addEventListener('click', () => {
+      const language = document.getElementById('sourceLanguageSelect').value;
+      const sample = (LANGUAGES[language] || LANGUAGES.en).sample;
+      requestPronunciation(sample, this.collectPronunciation())
+        .catch(error => this.showMessage(`朗读失败: ${error.message}`, 'error'));
+    });
+
+    // 提示词模板
+    document.getElementById('promptTypeSelect').addEventListener('change', (e) => {
+      this.collectPromptTemplate();
+      this.showPromptTemplate(e.target.value);
+    });
+
+    document.getElementById('previewPrompt').addEventListener('click', () => {
+      this.previewPrompt();
+    });
+
+    document.getElementById('resetPrompt').addEventListener('click', () => {
+      this.resetPromptTemplate();
+    });
+
+    document.getElementById('siteModeSelect').addEventListener('change', (e) => {
+      this.switchSiteMode(e.target.value);
+    });
+
+    // 全局开关和当前网站暂停，点击后立即生效
+    document.getElementById('globalEnabled').addEventListener('change', (e) => {
+      this.saveSiteSettings({ enabled: e.target.checked });
+    });
+
+    document.getElementById('toggleSite').addEventListener('click', () => {
+      this.toggleCurrentSite();
+    });
+
+    document.querySelectorAll('.toggle-btn[data-target]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.toggleApiKeyVisibility(button);
+      });
     });
   }
 
@@ -60,95 +196,749 @@ class PopupManager {
     document.getElementById(`${tabName}Tab`).classList.add('active');
 
     this.currentTab = tabName;
+
+    if (tabName === 'review') {
+      this.startReview();
+    } else if (tabName === 'stats') {
+      this.loadStats();
+    }
   }
 
   async loadSettings() {
     return new Promise((resolve) => {
-      chrome.storage.sync.get(['deepseek_api_key', 'settings'], (result) => {
-        const apiKey = result.deepseek_api_key || '';
-        const settings = result.settings || {};
+      chrome.storage.sync.get(['active_provider', 'provider_configs', 'deepseek_api_key', 'settings', 'prompt_templates'], (result) => {
+        const providerId = result.active_provider || DEFAULT_PROVIDER_ID;
+        const configs = result.provider_configs || {};
+        this.settings = result.settings || {};
+
+        // 兼容旧版本只保存了 deepseek_api_key 的情况
+        if (!configs.deepseek?.apiKey && result.deepseek_api_key) {
+          configs.deepseek = { ...configs.deepseek, apiKey: result.deepseek_api_key };
+        }
+
+        document.querySelectorAll('.provider-config').forEach(group => {
+          const config = configs[group.dataset.provider] || {};
+          group.querySelectorAll('[data-field]').forEach(input => {
+            input.value = config[input.dataset.field] || '';
+          });
+        });
+
+        document.getElementById('providerSelect').value = providerId;
+        this.switchProvider(providerId);
+
+        document.getElementById('renderModeSelect').value = this.settings.renderMode || 'inline';
+        this.renderTriggers();
+        this.renderLanguages();
+        this.renderPromptTemplates(result.prompt_templates);
+        this.renderPronunciation();
+        this.renderSiteRules();
+        this.renderUsageSettings();
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 把触发方式填入设置页，并显示当前的快捷键
+   */
+  renderTriggers() {
+    const triggers = resolveTriggers(this.settings);
+    document.querySelectorAll('[data-trigger]').forEach(input => {
+      input.checked = triggers[input.dataset.trigger];
+    });
+    document.getElementById('clickModifierSelect').value = this.settings.clickModifier || DEFAULT_CLICK_MODIFIER;
+
+    chrome.commands.getAll((commands) => {
+      const command = commands.find(item => item.name === TRANSLATE_COMMAND);
+      document.getElementById('shortcutKey').textContent = command?.shortcut || '未设置';
+    });
+  }
+
+  collectTriggers() {
+    const triggers = {};
+    document.querySelectorAll('[data-trigger]').forEach(input => {
+      triggers[input.dataset.trigger] = input.checked;
+    });
+    return triggers;
+  }
+
+  /**
+   * 把语言设置填入设置页
+   */
+  renderLanguages() {
+    const languages = resolveLanguages(this.settings);
+    const options = Object.entries(LANGUAGES).map(([value, language]) =>
+      `<option value="${value}">${language.name}</option>`
+    ).join('');
+
+    document.querySelectorAll('[data-language]').forEach(select => {
+      select.innerHTML = options;
+      select.value = languages[select.dataset.language];
+    });
+  }
+
+  collectLanguages() {
+    const languages = {};
+    document.querySelectorAll('[data-language]').forEach(select => {
+      languages[select.dataset.language] = select.value;
+    });
+    return languages;
+  }
+
+  /**
+   * 把提示词模板填入设置页
+   * @param {Object} stored - chrome.storage.sync 中的 prompt_templates
+   */
+  renderPromptTemplates(stored) {
+    this.promptTemplates = resolvePromptTemplates(stored);
+
+    document.getElementById('promptTypeSelect').innerHTML = Object.entries(this.promptTemplates)
+      .map(([type, template]) => `<option value="${type}">${template.name}查询</option>`)
+      .join('');
+    document.getElementById('promptVariables').innerHTML = '可用变量：' + Object.entries(PROMPT_VARIABLES)
+      .map(([name, label]) => `<code>{{${name}}}</code> ${label}`)
+      .join('，');
+
+    this.showPromptTemplate(this.promptType);
+  }
+
+  showPromptTemplate(type) {
+    const template = this.promptTemplates[type];
+    this.promptType = type;
+
+    document.getElementById('promptTypeSelect').value = type;
+    document.getElementById('promptTemplateInput').value = template.template;
+    document.getElementById('promptMaxTokens').value = template.max_tokens;
+    document.getElementById('promptTemperature').value = template.temperature;
+    document.getElementById('promptPreview').classList.add('hidden');
+  }
+
+  /**
+   * 把编辑器中的内容记到当前类型的模板上，参数无效时使用默认值
+   */
+  collectPromptTemplate() {
+    const defaults = DEFAULT_PROMPT_TEMPLATES[this.promptType];
+    const maxTokens = parseInt(document.getElementById('promptMaxTokens').value, 10);
+    const temperature = parseFloat(document.getElementById('promptTemperature').value);
+
+    this.promptTemplates[this.promptType] = {
+      ...this.promptTemplates[this.promptType],
+      template: document.getElementById('promptTemplateInput').value.trim() || defaults.template,
+      max_tokens: maxTokens > 0 ? maxTokens : defaults.max_tokens,
+      temperature: temperature >= 0 && temperature <= 2 ? temperature : defaults.temperature
+    };
+  }
+
+  /**
+   * 当前类型恢复为默认模板（点击"保存设置"后生效）
+   */
+  resetPromptTemplate() {
+    this.promptTemplates[this.promptType] = { ...DEFAULT_PROMPT_TEMPLATES[this.promptType] };
+    this.showPromptTemplate(this.promptType);
+    this.showMessage('已恢复默认模板，保存设置后生效', 'success');
+  }
+
+  /**
+   * 用示例单词和当前网页渲染最终的提示词，不请求API
+   * 示例取自生词本的第一个单词，生词本为空时使用学习语言的示例句子
+   */
+  previewPrompt() {
+    this.collectPromptTemplate();
+    const template = this.promptTemplates[this.promptType];
+    const languages = this.collectLanguages();
+
+    const item = this.vocabulary[0];
+    const sentence = item?.context || (LANGUAGES[languages.source] || LANGUAGES.en).sample;
+    const text = this.promptType === 'sentence' ? sentence : (item?.word || segmentWords(sentence)[0]?.text || '');
+
+    const prompt = renderPromptTemplate(template.template, buildPromptVariables({
+      text: text,
+      context: sentence,
+      languages: languages,
+      page: { title: this.currentPageTitle, url: this.currentSiteUrl }
+    }));
+
+    const preview = document.getElementById('promptPreview');
+    preview.textContent = `max_tokens: ${template.max_tokens}，temperature: ${template.temperature}\n\n${prompt}`;
+    preview.classList.remove('hidden');
+  }
+
+  /**
+   * 把发音设置填入设置页
+   */
+  renderPronunciation() {
+    const pronunciation = resolvePronunciation(this.settings);
+
+    this.renderAccents(resolveLanguages(this.settings).source, pronunciation.accent);
+    document.getElementById('speechRate').value = pronunciation.rate;
+    document.getElementById('speechRateValue').textContent = `${pronunciation.rate}x`;
+    document.getElementById('autoPlay').checked = pronunciation.autoPlay;
+
+    this.loadVoices(pronunciation.voiceName);
+  }
+
+  /**
+   * 列出学习语言可选的口音
+   * @param {string} language - 学习语言
+   * @param {string} [selected] - 需要选中的口音，默认为该语言的第一个口音
+   */
+  renderAccents(language, selected) {
+    const accents = getPronunciationAccents(language);
+    const accentSelect = document.getElementById('accentSelect');
+
+    accentSelect.innerHTML = Object.entries(accents).map(([value, label]) =>
+      `<option value="${value}">${label}</option>`
+    ).join('');
+    accentSelect.value = accents[selected] ? selected : Object.keys(accents)[0];
+  }
+
+  /**
+   * 列出当前口音可用的系统语音
+   * @param {string} [selected] - 需要选中的语音名称，默认保留当前选择
+   */
+  loadVoices(selected = document.getElementById('voiceSelect').value) {
+    const accent = document.getElementById('accentSelect').value;
+    const language = document.getElementById('sourceLanguageSelect').value;
+
+    chrome.runtime.sendMessage({ action: 'getVoices', language: language }, (response) => {
+      const voiceSelect = document.getElementById('voiceSelect');
+      const voices = chrome.runtime.lastError || !response?.success ? [] :
+        response.data.filter(voice => voice.lang === accent);
+
+      voiceSelect.innerHTML = '<option value="">自动选择</option>';
+      voices.forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.voiceName;
+        option.textContent = voice.remote ? `${voice.voiceName}（在线）` : voice.voiceName;
+        voiceSelect.appendChild(option);
+      });
+      voiceSelect.value = voices.some(voice => voice.voiceName === selected) ? selected : '';
+    });
+  }
+
+  collectPronunciation() {
+    return {
+      accent: document.getElementById('accentSelect').value,
+      voiceName: document.getElementById('voiceSelect').value,
+      rate: parseFloat(document.getElementById('speechRate').value),
+      autoPlay: document.getElementById('autoPlay').checked
+    };
+  }
+
+  /**
+   * 把站点规则填入设置页
+   */
+  renderSiteRules() {
+    const siteMode = this.settings.siteMode || 'blocklist';
+    document.getElementById('siteModeSelect').value = siteMode;
+    document.getElementById('blocklistInput').value = (this.settings.blocklist || []).join('\n');
+    document.getElementById('allowlistInput').value = (this.settings.allowlist || []).join('\n');
+    this.switchSiteMode(siteMode);
+  }
+
+  switchSiteMode(siteMode) {
+    document.querySelectorAll('[data-site-mode]').forEach(element => {
+      element.classList.toggle('hidden', element.dataset.siteMode !== siteMode);
+    });
+  }
+
+  /**
+   * 读取当前标签页的网址（activeTab 权限下可用）
+   */
+  async loadCurrentSite() {
+    return new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        const url = tabs && tabs[0] ? tabs[0].url : '';
+        this.currentSiteUrl = /^https?:/.test(url || '') ? url : null;
+        this.currentPageTitle = tabs && tabs[0] ? tabs[0].title || '' : '';
+        this.renderSiteBar();
+        resolve();
+      });
+    });
+  }
+
+  renderSiteBar() {
+    const enabled = this.settings.enabled !== false;
+    const hostElement = document.getElementById('siteHost');
+    const toggleButton = document.getElementById('toggleSite');
+
+    document.getElementById('globalEnabled').checked = enabled;
 
-        document.getElementById('apiKeyInput').value = apiKey;
+    if (!this.currentSiteUrl) {
+      hostElement.textContent = '当前页面不支持';
+      hostElement.classList.remove('paused');
+      toggleButton.hidden = true;
+      return;
+    }
+
+    // 不考虑全局开关，只看站点规则
+    const siteEnabled = isSiteEnabled(this.currentSiteUrl, { ...this.settings, enabled: true });
+    const hostname = new URL(this.currentSiteUrl).hostname;
+
+    hostElement.textContent = siteEnabled ? hostname : `${hostname}（已暂停）`;
+    hostElement.classList.toggle('paused', !siteEnabled || !enabled);
+    toggleButton.hidden = false;
+    toggleButton.disabled = !enabled;
+    toggleButton.textContent = siteEnabled ? '在此网站暂停' : '在此网站恢复';
+  }
 
+  /**
+   * 在当前网站暂停或恢复：黑名单模式下增删黑名单，白名单模式下增删白名单
+   */
+  async toggleCurrentSite() {
+    if (!this.currentSiteUrl) return;
+
+    const url = this.currentSiteUrl;
+    const hostname = new URL(url).hostname;
+    const siteEnabled = isSiteEnabled(url, { ...this.settings, enabled: true });
+    const listName = this.settings.siteMode === 'allowlist' ? 'allowlist' : 'blocklist';
+    const rules = this.settings[listName] || [];
+
+    // 只增删当前域名这一条规则，通配符和上级域名规则由用户在设置页中修改
+    const shouldAdd = (listName === 'blocklist') === siteEnabled;
+    const isHostRule = (rule) => rule.trim().toLowerCase() === hostname;
+    const nextRules = shouldAdd
+      ? [...rules.filter(rule => !isHostRule(rule)), hostname]
+      : rules.filter(rule => !isHostRule(rule));
+
+    await this.saveSiteSettings({ [listName]: nextRules });
+    this.renderSiteRules();
+
+    // 移除后状态没有变化，说明还有更宽的规则匹配当前网址
+    if (isSiteEnabled(url, { ...this.settings, enabled: true }) === siteEnabled) {
+      const broaderRule = nextRules.find(rule => matchesSiteRule(url, rule));
+      this.showMessage(`规则"${broaderRule}"仍适用于此网站，请在设置中修改`, 'info');
+    }
+  }
+
+  /**
+   * 立即保存站点相关设置并通知所有标签页
+   * @param {Object} changes - 要合并到 settings 中的字段
+   */
+  async saveSiteSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+
+    return new Promise((resolve) => {
+      chrome.storage.sync.set({ settings: this.settings }, () => {
+        this.notifySettingsUpdated();
+        this.renderSiteBar();
         resolve();
       });
     });
   }
 
+  notifySettingsUpdated() {
+    chrome.tabs.query({}, (tabs) => {
+      tabs.forEach(tab => {
+        chrome.tabs.sendMessage(tab.id, { action: 'settingsUpdated' }).catch(() => {
+          // 忽略错误（某些标签页可能没有content script）
+        });
+      });
+    });
+  }
+
+  switchProvider(providerId) {
+    document.querySelectorAll('.provider-config').forEach(group => {
+      group.classList.toggle('active', group.dataset.provider === providerId);
+    });
+    this.updateStatusIndicator();
+  }
+
+  /**
+   * 读取设置页中所有提供方的配置
+   * @returns {Object} 以提供方ID为key的配置对象
+   */
+  collectProviderConfigs() {
+    const configs = {};
+    document.querySelectorAll('.provider-config').forEach(group => {
+      const config = {};
+      group.querySelectorAll('[data-field]').forEach(input => {
+        config[input.dataset.field] = input.value.trim();
+      });
+      configs[group.dataset.provider] = config;
+    });
+    return configs;
+  }
+
+  /**
+   * 自定义接口地址需要额外的主机权限，必须在用户点击时申请
+   * @param {Object} provider - resolveProviderConfig 返回的配置
+   * @returns {Promise<boolean>} 是否已获得权限
+   */
+  async ensureHostPermission(provider) {
+    let origin;
+    try {
+      origin = `${new URL(provider.baseUrl).origin}/*`;
+    } catch (error) {
+      return false;
+    }
+
+    return new Promise((resolve) => {
+      chrome.permissions.request({ origins: [origin] }, (granted) => {
+        resolve(Boolean(granted) && !chrome.runtime.lastError);
+      });
+    });
+  }
+
   async saveSettings() {
-    const apiKey = document.getElementById('apiKeyInput').value;
+    const providerId = document.getElementById('providerSelect').value;
+    const configs = this.collectProviderConfigs();
+    const provider = resolveProviderConfig(providerId, configs[providerId]);
+
+    if (!await this.ensureHostPermission(provider)) {
+      this.showMessage(`未获得访问 ${provider.baseUrl} 的权限`, 'error');
+      return;
+    }
+
+    this.settings = {
+      ...this.settings,
+      renderMode: document.getElementById('renderModeSelect').value,
+      triggers: this.collectTriggers(),
+      clickModifier: document.getElementById('clickModifierSelect').value,
+      languages: this.collectLanguages(),
+      pronunciation: this.collectPronunciation(),
+      siteMode: document.getElementById('siteModeSelect').value,
+      blocklist: parseSiteRules(document.getElementById('blocklistInput').value),
+      allowlist: parseSiteRules(document.getElementById('allowlistInput').value),
+      usage: this.collectUsageSettings()
+    };
+
+    this.collectPromptTemplate();
 
     const settings = {
-      deepseek_api_key: apiKey,
-      settings: {}
+      active_provider: providerId,
+      provider_configs: configs,
+      deepseek_api_key: configs.deepseek.apiKey,
+      settings: this.settings,
+      prompt_templates: customizedPromptTemplates(this.promptTemplates)
     };
 
     return new Promise((resolve) => {
       chrome.storage.sync.set(settings, () => {
+        // 同步存储单项不能超过 8KB，提示词模板过长时会保存失败
+        if (chrome.runtime.lastError) {
+          this.showMessage(`保存失败: ${chrome.runtime.lastError.message}`, 'error');
+          resolve();
+          return;
+        }
+
         // 通知所有标签页设置已更新
-        chrome.tabs.query({}, (tabs) => {
-          tabs.forEach(tab => {
-            chrome.tabs.sendMessage(tab.id, { action: 'settingsUpdated' }).catch(() => {
-              // 忽略错误（某些标签页可能没有content script）
-            });
-          });
-        });
+        this.notifySettingsUpdated();
         
         this.showMessage('设置已保存！', 'success');
         this.updateStatusIndicator();
+        this.renderSiteBar();
         resolve();
       });
     });
   }
 
   async testApi() {
-    const apiKey = document.getElementById('apiKeyInput').value;
+    const providerId = document.getElementById('providerSelect').value;
+    const config = this.collectProviderConfigs()[providerId];
+    const provider = resolveProviderConfig(providerId, config);
     
-    if (!apiKey) {
+    if (provider.requiresApiKey && !provider.apiKey) {
       this.showMessage('请先输入API密钥', 'error');
       return;
     }
 
-    // 显示API收费警告
-    const warningMessage = '⚠️ 警告：测试API连接可能会产生DeepSeek API费用。\n\n确定要继续测试吗？';
-    if (!confirm(warningMessage)) {
+    // 说明测试的费用（本地模型不收费）：发送 "Hello"，最多回复 10 个 tokens
+    if (provider.requiresApiKey) {
+      const usageSettings = this.collectUsageSettings();
+      const price = usageSettings.prices[providerId];
+      const cost = estimateUsageCost({ prompt: 10, completion: 10 }, price);
+      const costText = hasUsagePrice(price) ? `按设置的单价约 ${formatUsageCost(cost, usageSettings.currency)}` : '尚未设置单价';
+      const warningMessage = `⚠️ 测试会向 ${provider.name} 发送一条很短的消息，约 20 tokens，` +
+        `${costText}。\n\n确定要继续测试吗？`;
+      if (!confirm(warningMessage)) {
+        return;
+      }
+    }
+
+    if (!await this.ensureHostPermission(provider)) {
+      this.showMessage(`未获得访问 ${provider.baseUrl} 的权限`, 'error');
       return;
     }
 
     this.showMessage('正在测试API连接...', 'info');
 
-    try {
-      const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-          model: 'deepseek-chat',
-          messages: [
-            {
-              role: 'user',
-              content: 'Hello'
-            }
-          ],
-          max_tokens: 10
-        })
+    chrome.runtime.sendMessage({
+      action: 'testProvider',
+      providerId: providerId,
+      config: config
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        this.showMessage(`API连接错误: ${chrome.runtime.lastError.message}`, 'error');
+      } else if (response && response.success) {
+        const tokens = response.usage ? `，本次用了 ${response.usage.total_tokens || 0} tokens` : '';
+        this.showMessage(`API连接成功！${response.provider} (${response.model}) 已就绪${tokens}`, 'success');
+        this.loadUsage();
+      } else {
+        this.showMessage(`API连接失败: ${response?.error || '未知错误'}`, 'error');
+      }
+    });
+  }
+
+  loadCacheStats() {
+    chrome.runtime.sendMessage({ action: 'getCacheStats' }, (response) => {
+      const statsElement = document.getElementById('cacheStats');
+      if (chrome.runtime.lastError || !response?.success) {
+        statsElement.textContent = '无法读取缓存信息';
+        return;
+      }
+
+      const { count, bytes, maxEntries } = response.data;
+      statsElement.textContent = `${count} / ${maxEntries} 条，约 ${this.formatBytes(bytes)}`;
+    });
+  }
+
+  clearCache() {
+    if (!confirm('确定要清除所有翻译缓存吗？')) return;
+
+    chrome.runtime.sendMessage({ action: 'clearCache' }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        this.showMessage('清除缓存失败', 'error');
+        return;
+      }
+      this.showMessage('翻译缓存已清除', 'success');
+      this.loadCacheStats();
+    });
+  }
+
+  loadStats() {
+    chrome.runtime.sendMessage({ action: 'getLookupLog' }, (response) => {
+      this.lookupEvents = chrome.runtime.lastError || !response?.success ? [] : response.data;
+      this.renderStats();
+    });
+  }
+
+  /**
+   * 显示学习统计，图表都用 DOM 元素绘制
+   */
+  renderStats() {
+    const stats = computeLearningStats(this.vocabulary, this.lookupEvents);
+
+    document.getElementById('statsTotalWords').textContent = stats.totalWords;
+    document.getElementById('statsTotalLookups').textContent = stats.totalLookups;
+    document.getElementById('statsStreak').textContent = stats.streak.current;
+    document.getElementById('statsLongestStreak').textContent = stats.streak.longest;
+
+    this.renderHeatmap(stats.lookupsByDay);
+
+    const period = document.getElementById('statsAddedPeriod').value;
+    const columns = period === 'week' ?
+      [...new Set(recentDays(12 * 7).map(weekStartKey))].map(week => ({
+        label: week.slice(5),
+        title: `${week} 起的一周`,
+        value: stats.addedByWeek[week] || 0
+      })) :
+      recentDays(14).map(day => ({
+        label: day.slice(8),
+        title: day,
+        value: stats.addedByDay[day] || 0
+      }));
+    const maxAdded = Math.max(1, ...columns.map(column => column.value));
+    document.getElementById('statsAdded').innerHTML = columns.map(column => `
+      <div class="stats-bar" title="${column.title}：${column.value} 个">
+        <span class="stats-bar-value">${column.value || ''}</span>
+        <span class="stats-bar-fill" style="height: ${column.value / maxAdded * 80}%"></span>
+        <span class="stats-bar-label">${column.label}</span>
+      </div>
+    `).join('');
+
+    this.renderStatsList('statsTopWords', stats.topWords.map(item => [item.word, item.lookupCount]), '次');
+    this.renderStatsList('statsSites', stats.bySite.map(item => [item.site, item.count]), '个');
+  }
+
+  /**
+   * 学习日历：最近约 20 周，每列一周（周一到周日），颜色按当天查询次数分为 5 级
+   * @param {Object} lookupsByDay - 日期 → 查询次数
+   */
+  renderHeatmap(lookupsByDay) {
+    const daysSinceMonday = (new Date().getDay() + 6) % 7;
+    const days = recentDays(19 * 7 + daysSinceMonday + 1);
+    const max = Math.max(1, ...days.map(day => lookupsByDay[day] || 0));
+
+    document.getElementById('statsHeatmap').innerHTML = days.map(day => {
+      const count = lookupsByDay[day] || 0;
+      const level = count === 0 ? 0 : Math.ceil(count / max * 4);
+      return `<span class="stats-heatmap-cell level-${level}" title="${day}：${count} 次查询"></span>`;
+    }).join('');
+  }
+
+  /**
+   * @param {string} elementId - 列表容器
+   * @param {Array} entries - [名称, 数量]
+   * @param {string} unit - 数量的单位
+   */
+  renderStatsList(elementId, entries, unit) {
+    const container = document.getElementById(elementId);
+    if (entries.length === 0) {
+      container.innerHTML = '<p class="stats-hint">暂无数据</p>';
+      return;
+    }
+
+    const max = entries[0][1];
+    container.innerHTML = entries.map(([name, count]) => `
+      <div class="stats-list-item">
+        <span class="stats-list-name">${this.escapeHtml(name)}</span>
+        <span class="stats-list-bar"><span style="width: ${count / max * 100}%"></span></span>
+        <span class="stats-list-count">${count} ${unit}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * 把单价、预算和货币符号填入设置页
+   */
+  renderUsageSettings() {
+    const usageSettings = resolveUsageSettings(this.settings);
+    const container = document.getElementById('usagePrices');
+
+    container.innerHTML = '<span></span><span>输入</span><span>输出</span>';
+    Object.entries(usageSettings.prices).forEach(([providerId, price]) => {
+      const name = document.createElement('span');
+      name.textContent = TRANSLATION_PROVIDERS[providerId]?.name || providerId;
+      container.appendChild(name);
+
+      ['prompt', 'completion'].forEach(field => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '0.01';
+        input.placeholder = '未设置';
+        input.value = price[field] ?? '';
+        input.dataset.priceProvider = providerId;
+        input.dataset.priceField = field;
+        container.appendChild(input);
       });
+    });
 
-      if (response.ok) {
-        this.showMessage('API连接成功！DeepSeek V3 已就绪', 'success');
-      } else {
-        this.showMessage(`API连接失败: ${response.status}`, 'error');
+    document.getElementById('dailyBudget').value = usageSettings.dailyBudget || '';
+    document.getElementById('monthlyBudget').value = usageSettings.monthlyBudget || '';
+    document.getElementById('usageCurrency').value = usageSettings.currency;
+  }
+
+  collectUsageSettings() {
+    const prices = {};
+    document.querySelectorAll('[data-price-provider]').forEach(input => {
+      const providerId = input.dataset.priceProvider;
+      prices[providerId] = prices[providerId] || {};
+      // 留空表示未设置单价，与 0（免费）区分
+      prices[providerId][input.dataset.priceField] = input.value.trim() === '' ? null : Math.max(0, parseFloat(input.value) || 0);
+    });
+
+    return {
+      currency: document.getElementById('usageCurrency').value.trim() || DEFAULT_USAGE_SETTINGS.currency,
+      prices: prices,
+      dailyBudget: Math.max(0, parseFloat(document.getElementById('dailyBudget').value) || 0),
+      monthlyBudget: Math.max(0, parseFloat(document.getElementById('monthlyBudget').value) || 0)
+    };
+  }
+
+  loadUsage() {
+    chrome.runtime.sendMessage({ action: 'getUsage' }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        document.getElementById('usageSummary').textContent = '无法读取用量';
+        return;
       }
-    } catch (error) {
-      this.showMessage(`API连接错误: ${error.message}`, 'error');
+      this.usage = response.data;
+      this.renderUsage();
+    });
+  }
+
+  /**
+   * 显示所选时间范围内的用量、估算费用和预算状态，以及按服务、网站和日期的明细
+   */
+  renderUsage() {
+    const usageSettings = resolveUsageSettings({ usage: this.collectUsageSettings() });
+    const { currency } = usageSettings;
+    const today = usageDateKey();
+    const weekStart = usageDateKey(Date.now() - 6 * 24 * 60 * 60 * 1000);
+    const ranges = {
+      today: (day) => day === today,
+      week: (day) => day >= weekStart,
+      month: (day) => day.slice(0, 7) === today.slice(0, 7),
+      all: () => true
+    };
+    const range = document.getElementById('usageRangeSelect').value;
+    const summary = summarizeUsage(this.usage, usageSettings, ranges[range]);
+    const formatTokens = (counts) => (counts.prompt + counts.completion).toLocaleString();
+
+    const lines = [
+      this.escapeHtml(`${summary.total.requests} 次请求，${formatTokens(summary.total)} tokens` +
+      `（输入 ${summary.total.prompt.toLocaleString()} / 输出 ${summary.total.completion.toLocaleString()}），` +
+      `约 ${formatUsageCost(summary.total.cost, currency)}`)
+    ];
+    [
+      { label: '今日', budget: usageSettings.dailyBudget, includeDay: ranges.today },
+      { label: '本月', budget: usageSettings.monthlyBudget, includeDay: ranges.month }
+    ].forEach(({ label, budget, includeDay }) => {
+      if (!budget) return;
+      const spent = summarizeUsage(this.usage, usageSettings, includeDay).total.cost;
+      const text = `${label}预算 ${formatUsageCost(spent, currency)} / ${formatUsageCost(budget, currency)}`;
+      lines.push(spent >= budget ?
+        `<span class="usage-budget-exceeded">${this.escapeHtml(text)}，已暂停请求API</span>` :
+        this.escapeHtml(text));
+    });
+
+    // 未设置单价的服务不计入费用，预算也不会限制它的请求
+    const providerName = (providerId) => TRANSLATION_PROVIDERS[providerId]?.name || providerId;
+    const unpriced = Object.keys(summary.byProvider).filter(providerId => !hasUsagePrice(usageSettings.prices[providerId]));
+    if (unpriced.length > 0) {
+      lines.push(this.escapeHtml(`${unpriced.map(providerName).join('、')} 未设置单价，未计入费用`));
+    }
+    const activeProviderId = document.getElementById('providerSelect').value;
+    if ((usageSettings.dailyBudget || usageSettings.monthlyBudget) && !hasUsagePrice(usageSettings.prices[activeProviderId])) {
+      lines.push(`<span class="usage-budget-exceeded">${this.escapeHtml(`⚠️ ${providerName(activeProviderId)} 未设置单价，预算不会限制它的请求`)}</span>`);
     }
+    document.getElementById('usageSummary').innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+
+    const table = (caption, entries, label, cost = (key, counts) => formatUsageCost(counts.cost, currency)) => {
+      if (entries.length === 0) return '';
+      const rows = entries.map(([key, counts]) => `
+        <tr>
+          <td>${this.escapeHtml(label(key))}</td>
+          <td>${formatTokens(counts)} tokens</td>
+          <td>${this.escapeHtml(cost(key, counts))}</td>
+        </tr>`).join('');
+      return `<table class="usage-table"><caption>${caption}</caption>${rows}</table>`;
+    };
+    const byCost = (a, b) => b[1].cost - a[1].cost || (b[1].prompt + b[1].completion) - (a[1].prompt + a[1].completion);
+
+    document.getElementById('usageBreakdown').innerHTML = [
+      table('按服务', Object.entries(summary.byProvider).sort(byCost), providerName,
+        (providerId, counts) => hasUsagePrice(usageSettings.prices[providerId]) ? formatUsageCost(counts.cost, currency) : '未设置单价'),
+      table('按网站', Object.entries(summary.bySite).sort(byCost).slice(0, 5),
+        (site) => site || '设置页'),
+      range === 'today' ? '' : table('按日期', Object.entries(summary.byDay).sort((a, b) => b[0].localeCompare(a[0])).slice(0, 7),
+        (day) => day)
+    ].join('');
+  }
+
+  clearUsage() {
+    if (!confirm('确定要清除所有用量记录吗？清除后本日和本月的预算将重新计算。')) return;
+
+    chrome.runtime.sendMessage({ action: 'clearUsage' }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        this.showMessage('清除用量记录失败', 'error');
+        return;
+      }
+      this.showMessage('用量记录已清除', 'success');
+      this.loadUsage();
+    });
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
   }
 
-  toggleApiKeyVisibility() {
-    const input = document.getElementById('apiKeyInput');
-    const button = document.getElementById('toggleApiKey');
+  toggleApiKeyVisibility(button) {
+    const input = document.getElementById(button.dataset.target);
     
     if (input.type === 'password') {
       input.type = 'text';
@@ -160,14 +950,17 @@ class PopupManager {
   }
 
   async loadVocabulary() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['vocabulary'], (result) => {
-        this.vocabulary = result.vocabulary || [];
-        this.filteredVocabulary = [...this.vocabulary];
-        this.renderVocabulary();
-        resolve();
-      });
-    });
+    try {
+      this.vocabulary = await this.vocabularyClient.query();
+    } catch (error) {
+      this.showMessage(`读取生词本失败: ${error.message}`, 'error');
+      return;
+    }
+    this.filterVocabulary(document.getElementById('searchInput').value);
+    this.updateDueBadge();
+    if (this.currentTab === 'stats') {
+      this.loadStats();
+    }
   }
 
   filterVocabulary(query) {
@@ -175,11 +968,14 @@ class PopupManager {
       this.filteredVocabulary = [...this.vocabulary];
     } else {
       const lowerQuery = query.toLowerCase();
+      // 搜索所有义项的翻译、解释和上下文
       this.filteredVocabulary = this.vocabulary.filter(item => 
         item.word.toLowerCase().includes(lowerQuery) ||
-        item.translation.toLowerCase().includes(lowerQuery) ||
-        item.context.toLowerCase().includes(lowerQuery) ||
-        item.explanation.toLowerCase().includes(lowerQuery)
+        withSenses(item).senses.some(sense =>
+          sense.translation.toLowerCase().includes(lowerQuery) ||
+          sense.context.toLowerCase().includes(lowerQuery) ||
+          sense.explanation.toLowerCase().includes(lowerQuery)
+        )
       );
     }
     this.renderVocabulary();
@@ -198,19 +994,39 @@ class PopupManager {
     vocabularyList.style.display = 'block';
     emptyState.style.display = 'none';
 
-    vocabularyList.innerHTML = this.filteredVocabulary.map((item, index) => `
+    vocabularyList.innerHTML = this.filteredVocabulary.map((item, index) => {
+      // 优先显示在当前网站查到的义项，其余义项列在下面
+      const sense = pickSense(item, '', this.currentSiteUrl || '');
+      const otherSenses = withSenses(item).senses.filter(other => other.id !== sense.id);
+      return `
       <div class="vocabulary-item" data-index="${index}">
         <div class="vocabulary-content">
-          <div class="vocabulary-word">${this.escapeHtml(item.word)}</div>
-          <div class="vocabulary-translation">${this.escapeHtml(item.translation)}</div>
+          <div class="vocabulary-word">
+            ${this.escapeHtml(item.word)}
+            <button class="vocabulary-speak" title="朗读">🔊</button>
+            ${item.known ? '<span class="vocabulary-known" title="点击恢复网页中的高亮">已掌握</span>' : ''}
+          </div>
+          <div class="vocabulary-translation">${this.escapeHtml(sense.translation)}</div>
           ${item.phonetic ? `<div class="vocabulary-phonetic">${this.escapeHtml(item.phonetic)}</div>` : ''}
-          <div class="vocabulary-context">${this.escapeHtml(item.context)}</div>
-          <div class="vocabulary-explanation">${this.escapeHtml(item.explanation)}</div>
+          <div class="vocabulary-context">${this.escapeHtml(sense.context)}</div>
+          <div class="vocabulary-explanation">${this.escapeHtml(sense.explanation)}</div>
+          ${otherSenses.length > 0 ? `
+            <ul class="vocabulary-senses">
+              ${otherSenses.map(other => `
+                <li>
+                  ${this.escapeHtml(other.translation)}
+                  ${other.context ? `<span class="vocabulary-sense-context">${this.escapeHtml(other.context)}</span>` : ''}
+                </li>
+              `).join('')}
+            </ul>
+          ` : ''}
+          ${item.notes ? `<div class="vocabulary-notes">${this.escapeHtml(item.notes)}</div>` : ''}
           <div class="vocabulary-time">${this.formatTime(item.timestamp)}</div>
         </div>
         <button class="vocabulary-delete" title="删除此单词">🗑️</button>
       </div>
-    `).join('');
+    `;
+    }).join('');
 
     // 绑定删除按钮事件
     vocabularyList.querySelectorAll('.vocabulary-delete').forEach(button => {
@@ -221,6 +1037,38 @@ class PopupManager {
         this.deleteVocabularyItem(index);
       });
     });
+
+    // 朗读
+    vocabularyList.querySelectorAll('.vocabulary-speak').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const index = parseInt(e.target.closest('.vocabulary-item').dataset.index);
+        requestPronunciation(this.filteredVocabulary[index].word)
+          .catch(error => this.showMessage(`朗读失败: ${error.message}`, 'error'));
+      });
+    });
+
+    // 取消"已掌握"标记
+    vocabularyList.querySelectorAll('.vocabulary-known').forEach(tag => {
+      tag.addEventListener('click', (e) => {
+        const index = parseInt(e.target.closest('.vocabulary-item').dataset.index);
+        this.unmarkKnown(index);
+      });
+    });
+  }
+
+  async unmarkKnown(index) {
+    const item = this.filteredVocabulary[index];
+    if (!item) return;
+
+    try {
+      await this.vocabularyClient.update(item.word, { known: false });
+    } catch (error) {
+      this.showMessage(`保存失败: ${error.message}`, 'error');
+      return;
+    }
+
+    this.showMessage(`"${item.word}" 将重新在网页中高亮`, 'success');
   }
 
   async deleteVocabularyItem(index) {
@@ -228,66 +1076,240 @@ class PopupManager {
     if (!item) return;
 
     if (confirm(`确定要删除单词 "${item.word}" 吗？`)) {
-      // 从原始词汇表中找到并删除
-      const originalIndex = this.vocabulary.findIndex(v => 
-        v.word === item.word && v.timestamp === item.timestamp
-      );
-      
-      if (originalIndex !== -1) {
-        this.vocabulary.splice(originalIndex, 1);
-        
-        // 更新存储
-        return new Promise((resolve) => {
-          chrome.storage.local.set({ vocabulary: this.vocabulary }, () => {
-            // 重新过滤和渲染
-            this.filterVocabulary(document.getElementById('searchInput').value);
-            this.showMessage(`已删除单词 "${item.word}"`, 'success');
-            
-            // 通知所有标签页更新词汇表
-            chrome.tabs.query({}, (tabs) => {
-              tabs.forEach(tab => {
-                chrome.tabs.sendMessage(tab.id, { action: 'vocabularyUpdated' }).catch(() => {
-                  // 忽略错误（某些标签页可能没有content script）
-                });
-              });
-            });
-            
-            resolve();
-          });
-        });
+      // 列表会在收到 vocabularyUpdated 后刷新
+      try {
+        await this.vocabularyClient.remove([item.word]);
+        this.showMessage(`已删除单词 "${item.word}"`, 'success');
+      } catch (error) {
+        this.showMessage(`删除失败: ${error.message}`, 'error');
       }
     }
   }
 
   async clearVocabulary() {
     if (confirm('确定要清空所有生词吗？此操作不可恢复。')) {
-      return new Promise((resolve) => {
-        chrome.storage.local.set({ vocabulary: [] }, () => {
-          this.vocabulary = [];
-          this.filteredVocabulary = [];
-          this.renderVocabulary();
-          this.showMessage('生词本已清空', 'success');
-          
-          // 通知所有标签页更新词汇表
-          chrome.tabs.query({}, (tabs) => {
-            tabs.forEach(tab => {
-              chrome.tabs.sendMessage(tab.id, { action: 'vocabularyUpdated' }).catch(() => {
-                // 忽略错误（某些标签页可能没有content script）
-              });
-            });
-          });
-          
-          resolve();
-        });
-      });
+      try {
+        await this.vocabularyClient.clear();
+        this.showMessage('生词本已清空', 'success');
+      } catch (error) {
+        this.showMessage(`清空失败: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  /**
+   * 导出生词本并下载
+   * @param {string} format - json / csv / anki
+   */
+  exportVocabulary(format) {
+    if (this.vocabulary.length === 0) {
+      this.showMessage('生词本为空，无需导出', 'info');
+      return;
+    }
+
+    const exporters = {
+      json: { build: exportVocabularyJSON, extension: 'json', type: 'application/json' },
+      csv: { build: exportVocabularyCSV, extension: 'csv', type: 'text/csv' },
+      anki: { build: exportVocabularyAnki, extension: 'txt', type: 'text/tab-separated-values' }
+    };
+    const exporter = exporters[format] || exporters.json;
+
+    // CSV 加上 BOM，避免 Excel 打开中文乱码
+    const content = (format === 'csv' ? '\uFEFF' : '') + exporter.build(this.vocabulary);
+    const url = URL.createObjectURL(new Blob([content], { type: `${exporter.type};charset=utf-8` }));
+    const date = new Date().toISOString().slice(0, 10);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `goodbye-word-${format}-${date}.${exporter.extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    this.showMessage(`已导出 ${this.vocabulary.length} 个生词`, 'success');
+  }
+
+  /**
+   * 读取导入文件并显示预览
+   * @param {File} file - 用户选择的文件
+   */
+  async previewImport(file) {
+    let incoming;
+    try {
+      incoming = parseVocabularyFile(await file.text(), file.name);
+    } catch (error) {
+      this.showMessage(`导入失败: ${error.message}`, 'error');
+      return;
+    }
+
+    if (incoming.length === 0) {
+      this.showMessage('文件中没有可导入的生词', 'error');
+      return;
+    }
+
+    this.importPlan = planVocabularyImport(this.vocabulary, incoming);
+    const { added, conflicts, unchanged } = this.importPlan;
+
+    document.getElementById('importSummary').textContent =
+      `${file.name}：新增 ${added.length} 个，冲突 ${conflicts.length} 个，相同 ${unchanged.length} 个`;
+
+    const defaultResolution = document.getElementById('importResolution').value;
+    document.querySelector('.import-resolution').style.display = conflicts.length ? '' : 'none';
+    document.getElementById('importConflicts').innerHTML = conflicts.map(conflict => `
+      <div class="import-conflict">
+        <div class="import-conflict-word">${this.escapeHtml(conflict.existing.word)}</div>
+        <div class="import-conflict-diff">
+          现有：${this.escapeHtml(conflict.existing.translation)}<br>
+          导入：${this.escapeHtml(conflict.incoming.translation)}
+        </div>
+        <select data-key="${this.escapeHtml(conflict.key)}">
+          <option value="keep">保留现有</option>
+          <option value="replace">使用导入的</option>
+          <option value="merge">合并（补全空字段）</option>
+        </select>
+      </div>
+    `).join('');
+
+    document.querySelectorAll('#importConflicts select').forEach(select => {
+      select.value = defaultResolution;
+    });
+
+    document.getElementById('importPreview').classList.add('visible');
+  }
+
+  async confirmImport() {
+    if (!this.importPlan) return;
+
+    const resolutions = {};
+    document.querySelectorAll('#importConflicts select').forEach(select => {
+      resolutions[select.dataset.key] = select.value;
+    });
+
+    // background 会按导入时的最新数据重新计算冲突，再按这里选择的方式处理
+    const plan = this.importPlan;
+    const incoming = [...plan.added, ...plan.conflicts.map(conflict => conflict.incoming), ...plan.unchanged];
+    let addedCount;
+    try {
+      addedCount = await this.vocabularyClient.import(incoming, resolutions);
+    } catch (error) {
+      this.showMessage(`导入失败: ${error.message}`, 'error');
+      return;
+    }
+
+    this.closeImportPreview();
+    this.showMessage(`导入完成，新增 ${addedCount} 个生词`, 'success');
+  }
+
+  closeImportPreview() {
+    this.importPlan = null;
+    document.getElementById('importPreview').classList.remove('visible');
+    document.getElementById('importConflicts').innerHTML = '';
+  }
+
+  /**
+   * 开始一轮复习：按到期时间排序所有到期的生词
+   */
+  startReview() {
+    const now = Date.now();
+    this.reviewQueue = this.vocabulary
+      .filter(item => isReviewDue(item, now))
+      .sort((a, b) => (a.review?.due || 0) - (b.review?.due || 0));
+    this.renderReviewCard();
+  }
+
+  renderReviewCard() {
+    const card = document.getElementById('reviewCard');
+    const emptyState = document.getElementById('reviewEmptyState');
+    const item = this.reviewQueue[0];
+
+    document.getElementById('reviewSummary').textContent = item ?
+      `本轮还有 ${this.reviewQueue.length} 个生词待复习` :
+      `共 ${this.vocabulary.length} 个生词，${this.getNextDueText()}`;
+
+    if (!item) {
+      card.classList.remove('visible');
+      emptyState.style.display = 'block';
+      return;
+    }
+
+    card.classList.add('visible');
+    emptyState.style.display = 'none';
+
+    document.getElementById('reviewWord').textContent = item.word;
+    document.getElementById('reviewPhonetic').textContent = item.phonetic || '';
+    // 复习时显示所有义项的翻译
+    document.getElementById('reviewTranslation').textContent =
+      withSenses(item).senses.map(sense => sense.translation).filter(Boolean).join('；');
+    document.getElementById('reviewExplanation').textContent = item.explanation || '';
+    document.getElementById('reviewContext').textContent = item.context || '';
+    document.getElementById('reviewContext').style.display = item.context ? '' : 'none';
+
+    // 每个评分按钮显示对应的下次复习间隔
+    document.getElementById('reviewGrades').innerHTML = SRS_GRADES.map(grade => {
+      const next = scheduleReview(item.review, grade.value);
+      return `
+        <button class="${grade.className}" data-grade="${grade.value}">
+          ${grade.label}
+          <span class="grade-interval">${next.interval}天后</span>
+        </button>
+      `;
+    }).join('');
+
+    document.getElementById('reviewAnswer').classList.remove('visible');
+    document.getElementById('reviewGrades').classList.remove('visible');
+    document.getElementById('revealAnswer').style.display = '';
+  }
+
+  revealAnswer() {
+    document.getElementById('reviewAnswer').classList.add('visible');
+    document.getElementById('reviewGrades').classList.add('visible');
+    document.getElementById('revealAnswer').style.display = 'none';
+  }
+
+  /**
+   * 记录评分并保存新的复习状态
+   * @param {number} grade - SM-2 评分（0-5）
+   */
+  async gradeCard(grade) {
+    const item = this.reviewQueue.shift();
+    if (!item) return;
+
+    item.review = scheduleReview(item.review, grade);
+
+    // 回忆失败的生词在本轮末尾再出现一次
+    if (grade < 3) {
+      this.reviewQueue.push(item);
+    }
+
+    this.renderReviewCard();
+    try {
+      await this.vocabularyClient.update(item.word, { review: item.review });
+    } catch (error) {
+      this.showMessage(`保存复习进度失败: ${error.message}`, 'error');
     }
   }
 
+  getNextDueText() {
+    const dueTimes = this.vocabulary.map(item => item.review?.due).filter(Boolean);
+    if (dueTimes.length === 0) return '暂无复习计划';
+
+    const days = Math.ceil((Math.min(...dueTimes) - Date.now()) / SRS_DAY);
+    return days <= 1 ? '下一个生词明天到期' : `下一个生词 ${days} 天后到期`;
+  }
+
+  updateDueBadge() {
+    const badge = document.getElementById('dueBadge');
+    const dueCount = this.vocabulary.filter(item => isReviewDue(item)).length;
+
+    badge.textContent = dueCount;
+    badge.classList.toggle('visible', dueCount > 0);
+  }
+
   updateStatusIndicator() {
     const indicator = document.getElementById('statusIndicator');
-    const apiKey = document.getElementById('apiKeyInput').value;
+    const providerId = document.getElementById('providerSelect').value;
+    const provider = resolveProviderConfig(providerId, this.collectProviderConfigs()[providerId]);
     
-    if (apiKey) {
+    if (!provider.requiresApiKey || provider.apiKey) {
       indicator.classList.remove('error');
     } else {
       indicator.classList.add('error');
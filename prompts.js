@@ -0,0 +1,138 @@
+// 提示词模板 - background.js 和 popup.js 共用
+// 模板中的 {{变量}} 在请求时替换；用户修改过的模板保存在 chrome.storage.sync 的 prompt_templates 中（只保存与默认值不同的类型）
+
+const DEFAULT_PROMPT_TEMPLATES = {
+  word: {
+    name: '单词',
+    max_tokens: 300,
+    temperature: 0.1,
+    template: `你是一个浏览器翻译插件。请把以下{{source_language}}单词翻译成{{target_language}}并提供详细信息，解释使用{{explanation_language}}。
+
+单词: {{word}}
+上下文: {{context}}
+
+请严格按照以下JSON格式返回，不要包含任何其他内容：
+
+{
+  "word": "原单词（{{source_language}}原形）",
+  "translation": "词性.{{target_language}}翻译",
+  "phonetic": "音标或读音（如日语假名）",
+  "explanation": "用{{explanation_language}}写的详细解释",
+  "function_calls": []
+}
+
+需要时可以在function_calls中调用以下函数，不需要时返回空数组：
+{{actions}}
+
+例如：
+{
+  "word": "retarded",
+  "translation": "adj. 迟钝的",
+  "phonetic": "/rɪˈtɑːdɪd/",
+  "explanation": "retarded 是一个形容词，意思是迟钝的。",
+  "function_calls": [
+    { "name": "set_register", "arguments": { "register": "offensive" } },
+    {
+      "name": "alert",
+      "arguments": {
+        "message": "曾用于 “智力迟缓者”，现被认为极不尊重，建议用 person with intellectual disability"
+      }
+    }
+  ]
+}`
+  },
+  sentence: {
+    name: '句子',
+    max_tokens: 1000,
+    temperature: 0.2,
+    template: `你是一个浏览器翻译插件。请把以下{{source_language}}句子翻译成通顺的{{target_language}}，并帮助{{source_language}}学习者理解它，讲解使用{{explanation_language}}。
+
+句子: {{word}}
+上下文: {{context}}
+
+请严格按照以下JSON格式返回，不要包含任何其他内容：
+
+{
+  "translation": "完整的{{target_language}}译文",
+  "grammar": [
+    { "point": "语法点，如：定语从句", "explanation": "结合本句的简短讲解" }
+  ],
+  "words": [
+    { "word": "值得学习的单词或词组（原形）", "translation": "词性.{{target_language}}翻译", "phonetic": "音标或读音", "explanation": "在本句中的含义" }
+  ]
+}
+
+grammar 最多3条，只讲解本句中难懂的结构；words 最多5个，不要包含常见简单词。`
+  }
+};
+
+// 模板中可以使用的变量，供设置页显示
+const PROMPT_VARIABLES = {
+  word: '选中的单词（句子模板中为选中的句子）',
+  context: '所在段落',
+  source_language: '学习语言',
+  target_language: '翻译成的语言',
+  explanation_language: '解释使用的语言',
+  page_title: '网页标题',
+  page_url: '网页地址',
+  actions: '模型可以调用的函数列表'
+};
+
+/**
+ * 合并用户保存的模板和默认模板
+ * @param {Object} stored - chrome.storage.sync 中的 prompt_templates
+ * @returns {Object} 与 DEFAULT_PROMPT_TEMPLATES 结构相同
+ */
+function resolvePromptTemplates(stored = {}) {
+  const templates = {};
+  Object.entries(DEFAULT_PROMPT_TEMPLATES).forEach(([type, defaults]) => {
+    templates[type] = { ...defaults, ...((stored && stored[type]) || {}) };
+  });
+  return templates;
+}
+
+/**
+ * 只保留与默认值不同的模板，用于保存
+ * @param {Object} templates - 完整的模板
+ * @returns {Object} prompt_templates
+ */
+function customizedPromptTemplates(templates) {
+  const customized = {};
+  Object.entries(templates).forEach(([type, { template, max_tokens, temperature }]) => {
+    const defaults = DEFAULT_PROMPT_TEMPLATES[type];
+    if (template !== defaults.template || max_tokens !== defaults.max_tokens || temperature !== defaults.temperature) {
+      customized[type] = { template, max_tokens, temperature };
+    }
+  });
+  return customized;
+}
+
+/**
+ * 生成模板变量
+ * @param {Object} options - { text, context, languages, page: { title, url } }
+ * @returns {Object} 变量名 → 值
+ */
+function buildPromptVariables({ text, context, languages, page = {} }) {
+  return {
+    word: text || '',
+    context: context || '',
+    source_language: languageName(languages.source),
+    target_language: languageName(languages.target),
+    explanation_language: languageName(languages.explanation),
+    page_title: page.title || '',
+    page_url: page.url || '',
+    actions: describeModelActions()
+  };
+}
+
+/**
+ * 替换模板中的 {{变量}}，未知的变量原样保留，便于发现拼写错误
+ * @param {string} template - 模板
+ * @param {Object} variables - 变量名 → 值
+ * @returns {string} 最终的提示词
+ */
+function renderPromptTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : placeholder
+  );
+}
@@ -0,0 +1,68 @@
+// 发音设置 - content.js、popup.js 和 background.js 共用
+// 朗读统一由 background.js 通过 chrome.tts 完成，使用系统语音，离线可用
+// 口音随学习语言（languages.js）变化
+
+// 各学习语言可选的口音，第一个为默认值
+const PRONUNCIATION_ACCENTS = {
+  en: { 'en-US': '美式英语', 'en-GB': '英式英语' },
+  de: { 'de-DE': '德国德语', 'de-AT': '奥地利德语', 'de-CH': '瑞士德语' },
+  fr: { 'fr-FR': '法国法语', 'fr-CA': '加拿大法语' },
+  es: { 'es-ES': '西班牙西班牙语', 'es-MX': '墨西哥西班牙语' },
+  it: { 'it-IT': '意大利语' },
+  ru: { 'ru-RU': '俄语' },
+  ja: { 'ja-JP': '日语' },
+  ko: { 'ko-KR': '韩语' },
+  zh: { 'zh-CN': '普通话', 'zh-TW': '台湾国语' }
+};
+
+const DEFAULT_PRONUNCIATION = {
+  accent: 'en-US',
+  voiceName: '', // 为空时由系统按口音选择
+  rate: 1, // 0.5 - 1.5
+  autoPlay: false // 查询单词后自动朗读
+};
+
+/**
+ * @param {string} language - 语言代码
+ * @returns {Object} { 口音代码: 名称 }，未列出的语言只有一个同名口音
+ */
+function getPronunciationAccents(language) {
+  return PRONUNCIATION_ACCENTS[language] || { [language]: languageName(language) };
+}
+
+/**
+ * 读取设置中的发音配置，未设置的项使用默认值
+ * 保存的口音不属于当前学习语言时（如切换到德语后）改用该语言的默认口音
+ * @param {Object} settings - chrome.storage.sync 中的 settings 对象
+ * @returns {Object} 与 DEFAULT_PRONUNCIATION 结构相同
+ */
+function resolvePronunciation(settings = {}) {
+  const pronunciation = { ...DEFAULT_PRONUNCIATION, ...(settings.pronunciation || {}) };
+  const accents = getPronunciationAccents(resolveLanguages(settings).source);
+
+  if (!accents[pronunciation.accent]) {
+    pronunciation.accent = Object.keys(accents)[0];
+    pronunciation.voiceName = ''; // 原来的语音属于其他语言
+  }
+  return pronunciation;
+}
+
+/**
+ * 请求 background 朗读文本
+ * @param {string} text - 要朗读的单词或句子
+ * @param {Object} [overrides] - 临时覆盖的发音配置（如设置页试听未保存的选项）
+ * @returns {Promise<void>} 朗读失败时 reject
+ */
+function requestPronunciation(text, overrides) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'speak', text: text, options: overrides }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response && response.success) {
+        resolve();
+      } else {
+        reject(new Error(response?.error || '朗读失败'));
+      }
+    });
+  });
+}
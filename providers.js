@@ -0,0 +1,216 @@
+// 翻译服务提供方 - 统一封装 OpenAI 兼容的 chat/completions 接口
+// 由 background.js 通过 importScripts 引入，popup.html 也会加载以读取提供方元数据
+
+/**
+ * 所有可选的翻译服务
+ * - baseUrl / model 为默认值，用户可在设置页覆盖（configurable 为 true 时）
+ * - requiresApiKey 为 false 的服务（本地模型）不会发送 Authorization 头
+ */
+const TRANSLATION_PROVIDERS = {
+  deepseek: {
+    name: 'DeepSeek',
+    baseUrl: 'https://api.deepseek.com/v1',
+    model: 'deepseek-chat',
+    requiresApiKey: true,
+    configurable: false
+  },
+  openai: {
+    name: 'OpenAI 兼容接口',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    requiresApiKey: true,
+    configurable: true
+  },
+  ollama: {
+    name: '本地模型 (Ollama / llama.cpp)',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'qwen2.5:7b',
+    requiresApiKey: false,
+    configurable: true
+  }
+};
+
+const DEFAULT_PROVIDER_ID = 'deepseek';
+
+/**
+ * 合并提供方默认值与用户配置
+ * @param {string} providerId - 提供方ID
+ * @param {Object} config - 用户保存的配置（apiKey、baseUrl、model）
+ * @returns {Object} 可直接用于请求的完整配置
+ */
+function resolveProviderConfig(providerId, config = {}) {
+  const id = TRANSLATION_PROVIDERS[providerId] ? providerId : DEFAULT_PROVIDER_ID;
+  const provider = TRANSLATION_PROVIDERS[id];
+
+  return {
+    id: id,
+    name: provider.name,
+    requiresApiKey: provider.requiresApiKey,
+    apiKey: (config.apiKey || '').trim(),
+    baseUrl: ((provider.configurable && config.baseUrl) || provider.baseUrl).trim().replace(/\/+$/, ''),
+    model: ((provider.configurable && config.model) || provider.model).trim()
+  };
+}
+
+/**
+ * 读取当前启用的翻译服务配置
+ * @returns {Promise<Object>} 完整的提供方配置
+ */
+async function getActiveProvider() {
+  const result = await new Promise((resolve) => {
+    chrome.storage.sync.get(['active_provider', 'provider_configs', 'deepseek_api_key'], resolve);
+  });
+
+  const configs = result.provider_configs || {};
+  const providerId = result.active_provider || DEFAULT_PROVIDER_ID;
+  const config = { ...configs[providerId] };
+
+  // 兼容旧版本只保存了 deepseek_api_key 的情况
+  if (providerId === 'deepseek' && !config.apiKey) {
+    config.apiKey = result.deepseek_api_key || '';
+  }
+
+  return resolveProviderConfig(providerId, config);
+}
+
+/**
+ * 发送 chat/completions 请求，返回成功的 Response
+ * @param {Object} provider - resolveProviderConfig 返回的配置
+ * @param {Object} body - 请求体（model 由 provider 提供）
+ * @param {AbortSignal} [signal] - 用于取消请求
+ * @returns {Promise<Response>}
+ */
+async function postChatCompletion(provider, body, signal) {
+  if (provider.requiresApiKey && !provider.apiKey) {
+    throw new Error('API密钥未设置');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (provider.apiKey) {
+    headers['Authorization'] = `Bearer ${provider.apiKey}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${provider.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify({
+        model: provider.model,
+        ...body
+      }),
+      signal: signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    // 本地服务未启动或跨域被拒时 fetch 直接抛出 TypeError
+    throw new Error(`无法连接到 ${provider.name} (${provider.baseUrl})`);
+  }
+
+  if (!response.ok) {
+    const errorMessage = response.status === 401 ? 'API密钥无效' :
+                        response.status === 404 ? `接口或模型不存在 (${provider.model})` :
+                        response.status === 429 ? '请求频率超限' :
+                        `API请求失败 (${response.status})`;
+    const error = new Error(errorMessage);
+    // 供请求调度判断是否重试（见 request-scheduler.js）
+    error.status = response.status;
+    error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @param {string|null} value - 响应头的值
+ * @returns {number|null} 需要等待的毫秒数，没有或无法解析时为 null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 调用提供方的 chat/completions 接口
+ * @param {Object} provider - resolveProviderConfig 返回的配置
+ * @param {Array} messages - 对话消息
+ * @param {Object} params - 额外的模型参数（max_tokens、temperature 等）
+ * @param {AbortSignal} [signal] - 用于取消请求
+ * @returns {Promise<Object>} { content: 模型返回的文本内容, usage: 接口返回的 token 用量（可能为 null） }
+ */
+async function requestChatCompletion(provider, messages, params = {}, signal) {
+  const response = await postChatCompletion(provider, { messages: messages, ...params }, signal);
+  const data = await response.json();
+  return { content: data.choices?.[0]?.message?.content || '', usage: data.usage || null };
+}
+
+/**
+ * 以流式（SSE）方式调用 chat/completions 接口，每收到一段内容调用一次 onDelta
+ * @param {Object} provider - resolveProviderConfig 返回的配置
+ * @param {Array} messages - 对话消息
+ * @param {Object} params - 额外的模型参数
+ * @param {Function} onDelta - 参数为 (本段内容, 目前为止的全部内容)
+ * @param {AbortSignal} [signal] - 用于取消请求
+ * @returns {Promise<Object>} { content: 完整的文本内容, usage: token 用量（接口不支持时为 null） }
+ */
+async function streamChatCompletion(provider, messages, params, onDelta, signal) {
+  // include_usage 让接口在最后一个事件中返回 token 用量，不支持的接口会忽略
+  const response = await postChatCompletion(provider, {
+    messages: messages,
+    ...params,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, signal);
+
+  // 部分兼容接口会忽略 stream 参数，直接返回完整的 JSON
+  if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content || '';
+    onDelta(content, content);
+    return { content: content, usage: data.usage || null };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // 最后一行可能不完整，留到下一次
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') return { content, usage };
+
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (error) {
+        continue; // 忽略无法解析的事件（如心跳注释）
+      }
+
+      if (event.usage) usage = event.usage;
+
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta, content);
+      }
+    }
+  }
+
+  return { content, usage };
+}
@@ -0,0 +1,240 @@
+// 请求调度 - 由 background.js 通过 importScripts 引入
+// 所有发往翻译服务的请求都经过这里：限制并发数和请求速率（令牌桶），
+// 429 和 5xx 按 Retry-After 或指数退避重试，每次请求有超时，相同的请求正在进行时共用一次结果
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+  concurrency: 3, // 同时进行的请求数
+  burst: 5, // 令牌桶容量：短时间内最多连续发出的请求数
+  refillPerSecond: 1, // 每秒补充的令牌数
+  timeout: 60 * 1000, // 单次请求超时（流式请求包含接收全部内容的时间）
+  maxRetries: 3,
+  baseDelay: 1000, // 指数退避的初始等待时间
+  maxDelay: 30 * 1000 // Retry-After 超过此值时不再重试，直接报错
+};
+
+function createAbortError() {
+  return new DOMException('请求已取消', 'AbortError');
+}
+
+/**
+ * 等待一段时间，signal 取消时提前结束
+ * @param {number} ms - 毫秒
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+    this.tokens = this.options.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0; // 收到 429 后所有请求暂停到此时间
+    this.active = 0;
+    this.waiting = []; // 等待发出的请求 { resolve, reject, signal }
+    this.timer = null;
+    this.inFlight = new Map(); // 请求键 → 共享的请求
+  }
+
+  /**
+   * 调度一个请求，相同 key 的请求正在进行时直接共用它的结果
+   * 共用同一请求的调用方全部取消后才会真正取消请求
+   * @param {string} key - 请求键，请求内容相同时应相同
+   * @param {Function} task - (signal, progress) => Promise，progress 会转发给所有调用方的 onProgress
+   * @param {Object} [options] - { signal, onProgress }
+   * @returns {Promise<*>} task 的结果
+   */
+  run(key, task, { signal, onProgress } = {}) {
+    if (signal?.aborted) return Promise.reject(createAbortError());
+
+    let shared = this.inFlight.get(key);
+    if (!shared) {
+      shared = this.createShared(key, task);
+    } else {
+      console.log('⏳ 合并重复请求');
+    }
+
+    const subscriber = { onProgress };
+    shared.subscribers.add(subscriber);
+    // 中途加入的调用方先收到最近一次进度（流式内容是累积的，不会缺少前面的部分）
+    if (onProgress && shared.lastProgress) onProgress(...shared.lastProgress);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        shared.subscribers.delete(subscriber);
+        if (shared.subscribers.size === 0) {
+          shared.controller.abort();
+          if (this.inFlight.get(key) === shared) this.inFlight.delete(key);
+        }
+        reject(createAbortError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      shared.promise.then(resolve, reject).finally(() => {
+        signal?.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  createShared(key, task) {
+    const shared = {
+      controller: new AbortController(),
+      subscribers: new Set(),
+      lastProgress: null
+    };
+    const progress = (...args) => {
+      shared.lastProgress = args;
+      shared.subscribers.forEach(subscriber => subscriber.onProgress && subscriber.onProgress(...args));
+    };
+
+    shared.promise = this.execute(task, shared.controller.signal, progress).finally(() => {
+      if (this.inFlight.get(key) === shared) this.inFlight.delete(key);
+    });
+    shared.promise.catch(() => {
+      // 错误由每个调用方各自处理
+    });
+
+    this.inFlight.set(key, shared);
+    return shared;
+  }
+
+  /**
+   * 执行请求：取得发送许可后调用 task，可重试的错误等待后重新排队
+   */
+  async execute(task, signal, progress) {
+    const { timeout, maxRetries } = this.options;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(signal);
+
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      signal.addEventListener('abort', abort, { once: true });
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+
+      let delay;
+      try {
+        return await task(controller.signal, progress);
+      } catch (error) {
+        if (timedOut) throw new Error(`请求超时（${Math.round(timeout / 1000)}秒）`);
+        delay = this.getRetryDelay(error, attempt);
+        if (signal.aborted || attempt >= maxRetries || delay === null) throw error;
+        console.warn(`${error.message}，${Math.round(delay / 1000)}秒后重试 (${attempt + 1}/${maxRetries})`);
+        if (error.status === 429) this.pause(delay);
+      } finally {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', abort);
+        this.release();
+      }
+
+      await sleep(delay, signal);
+    }
+  }
+
+  /**
+   * 计算重试前的等待时间
+   * @param {Error} error - postChatCompletion 抛出的错误（带 status、retryAfter）
+   * @param {number} attempt - 已重试次数
+   * @returns {number|null} 毫秒，不应重试时为 null
+   */
+  getRetryDelay(error, attempt) {
+    const { baseDelay, maxDelay } = this.options;
+    if (error.status !== 429 && !(error.status >= 500)) return null;
+
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter <= maxDelay ? error.retryAfter : null;
+    }
+    // 加一点随机抖动，避免多个请求同时重试
+    return Math.min(baseDelay * 2 ** attempt, maxDelay) + Math.random() * baseDelay / 2;
+  }
+
+  /**
+   * 收到 429 时让队列中的所有请求一起等待
+   * @param {number} delay - 毫秒
+   */
+  pause(delay) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+  }
+
+  /**
+   * 等待并发名额和令牌
+   * @param {AbortSignal} signal
+   * @returns {Promise<void>}
+   */
+  acquire(signal) {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal };
+      signal.addEventListener('abort', () => {
+        const index = this.waiting.indexOf(waiter);
+        if (index !== -1) {
+          this.waiting.splice(index, 1);
+          reject(createAbortError());
+        }
+      }, { once: true });
+      this.waiting.push(waiter);
+      this.pump();
+    });
+  }
+
+  release() {
+    this.active--;
+    this.pump();
+  }
+
+  refill() {
+    const now = Date.now();
+    const { burst, refillPerSecond } = this.options;
+    this.tokens = Math.min(burst, this.tokens + (now - this.lastRefill) / 1000 * refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 按顺序发出等待中的请求，暂时不能发出时定时再试
+   */
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    while (this.waiting.length > 0 && this.active < this.options.concurrency) {
+      this.refill();
+      const now = Date.now();
+      let wait = 0;
+      if (this.pausedUntil > now) {
+        wait = this.pausedUntil - now;
+      } else if (this.tokens < 1) {
+        wait = (1 - this.tokens) / this.options.refillPerSecond * 1000;
+      }
+
+      if (wait > 0) {
+        this.timer = setTimeout(() => this.pump(), Math.ceil(wait));
+        return;
+      }
+
+      this.tokens--;
+      this.active++;
+      this.waiting.shift().resolve();
+    }
+  }
+}
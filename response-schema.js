@@ -0,0 +1,112 @@
+// 模型回复的格式校验 - 由 background.js 通过 importScripts 引入
+// 每种查询声明回复的 JSON 结构，不符合时 background.js 会请模型修正，仍不符合则报错，不保存猜测的内容
+
+// 词性.翻译，如 n. 银行、v./n. 运行、adj. 迟钝的；词性可以是其他语言的缩写
+const PART_OF_SPEECH_PATTERN = /^[\p{L}/&]{1,12}\.\s*\S/u;
+
+const TRANSLATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    word: { type: 'string', required: true },
+    translation: { type: 'string', required: true, pattern: PART_OF_SPEECH_PATTERN, format: '词性.翻译' },
+    phonetic: { type: 'string' },
+    explanation: { type: 'string', required: true },
+    function_calls: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', required: true },
+          arguments: { type: 'object' }
+        }
+      }
+    }
+  }
+};
+
+const SENTENCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    translation: { type: 'string', required: true },
+    grammar: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          point: { type: 'string', required: true },
+          explanation: { type: 'string', required: true }
+        }
+      }
+    },
+    words: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          word: { type: 'string', required: true },
+          translation: { type: 'string', required: true, pattern: PART_OF_SPEECH_PATTERN, format: '词性.翻译' },
+          phonetic: { type: 'string' },
+          explanation: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 从模型回复中取出 JSON：去掉 markdown 代码块标记和 JSON 前后的多余文字
+ * @param {string} content - 模型返回的文本
+ * @returns {*} 解析结果
+ * @throws {SyntaxError} 不是有效的 JSON
+ */
+function parseModelJson(content) {
+  const text = String(content || '').replace(/```json\s*|\s*```/g, '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return JSON.parse(start !== -1 && end > start ? text.slice(start, end + 1) : text);
+}
+
+function schemaTypeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * 按声明的结构检查数据
+ * @param {*} value - 要检查的数据
+ * @param {Object} schema - { type, required, enum, pattern, format, properties, items }
+ * @param {string} [path] - 字段路径，用于错误信息
+ * @returns {Array<string>} 错误列表，为空表示通过
+ */
+function validateSchema(value, schema, path = '回复') {
+  const type = schemaTypeOf(value);
+  if (type !== schema.type) {
+    return [`${path} 应为 ${schema.type}，实际为 ${type}`];
+  }
+
+  const errors = [];
+  if (schema.type === 'string') {
+    if (schema.required && !value.trim()) {
+      errors.push(`${path} 不能为空`);
+    } else if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} 应为 ${schema.enum.join(' / ')} 之一，实际为 “${value}”`);
+    } else if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push(`${path} 应为“${schema.format}”格式，实际为 “${value}”`);
+    }
+  } else if (schema.type === 'object' && schema.properties) {
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      const fieldPath = path === '回复' ? key : `${path}.${key}`;
+      if (value[key] === undefined || value[key] === null) {
+        if (property.required) errors.push(`缺少字段 ${fieldPath}`);
+        return;
+      }
+      errors.push(...validateSchema(value[key], property, fieldPath));
+    });
+  } else if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+  return errors;
+}
@@ -0,0 +1,150 @@
+// 生词的多个义项 - background.js、content.js 和 popup.js 共用
+// 同一个单词在不同上下文中可能有不同的意思（如 bank：银行 / 河岸），每个义项单独保存
+// 生词条目顶层的 translation、explanation、context 始终与第一个义项一致，供导出和旧代码使用
+
+/**
+ * 创建一个义项
+ * @param {Object} data - { translation, explanation, context, url, timestamp }
+ * @returns {Object} 义项
+ */
+function createSense(data) {
+  return {
+    id: `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    translation: data.translation || '',
+    explanation: data.explanation || '',
+    context: data.context || '',
+    url: data.url || '',
+    timestamp: data.timestamp || Date.now(),
+    lookupCount: 1
+  };
+}
+
+/**
+ * 确保条目带有义项列表（旧数据或导入的数据只有顶层字段）
+ * @param {Object} item - 生词条目
+ * @returns {Object} 带 senses 的条目
+ */
+function withSenses(item) {
+  if (Array.isArray(item.senses) && item.senses.length > 0) return item;
+
+  return {
+    ...item,
+    senses: [createSense({
+      translation: item.translation,
+      explanation: item.explanation,
+      context: item.context,
+      timestamp: item.createdAt || item.timestamp
+    })]
+  };
+}
+
+/**
+ * 把第一个义项同步到顶层字段
+ * @param {Object} item - 带 senses 的条目
+ * @returns {Object}
+ */
+function syncPrimarySense(item) {
+  const primary = item.senses[0];
+  return {
+    ...item,
+    translation: primary.translation,
+    explanation: primary.explanation,
+    context: primary.context
+  };
+}
+
+/**
+ * 把顶层字段写入第一个义项，用于顶层字段被直接修改之后（如导入时合并或替换）
+ * @param {Object} item - 条目
+ * @returns {Object} 带 senses 的条目
+ */
+function syncTopLevelToSense(item) {
+  const [primary, ...others] = withSenses(item).senses;
+  return {
+    ...item,
+    senses: [{
+      ...primary,
+      translation: item.translation || '',
+      explanation: item.explanation || '',
+      context: item.context || ''
+    }, ...others]
+  };
+}
+
+/**
+ * 把文本转换为词根集合，用于比较上下文
+ * @param {string} text - 文本
+ * @param {string} [language] - 文本的语言，只有英语才还原词形
+ * @returns {Set<string>}
+ */
+function contextTerms(text, language) {
+  const terms = new Set();
+  segmentWords(text, language).forEach(word => {
+    // 忽略 a、of、to 等短词；日语、中文的单词本来就短，全部保留
+    if (word.text.length > 2 || UNSPACED_SCRIPT_PATTERN.test(word.text)) {
+      terms.add(lemmatizeWord(word.text, language));
+    }
+  });
+  return terms;
+}
+
+/**
+ * 两段上下文的相似度（词根集合的 Jaccard 系数，0-1）
+ * @param {string} a - 上下文
+ * @param {string} b - 上下文
+ * @param {string} [language] - 上下文的语言
+ * @returns {number}
+ */
+function contextSimilarity(a, b, language) {
+  const termsA = contextTerms(a, language);
+  const termsB = contextTerms(b, language);
+  if (termsA.size === 0 || termsB.size === 0) return 0;
+
+  let shared = 0;
+  termsA.forEach(term => {
+    if (termsB.has(term)) shared++;
+  });
+  return shared / (termsA.size + termsB.size - shared);
+}
+
+/**
+ * 选出最符合当前上下文的义项：上下文相似度为主，同一网页或网站的义项优先
+ * @param {Object} item - 生词条目
+ * @param {string} context - 当前上下文
+ * @param {string} [url] - 当前网页地址
+ * @returns {Object} 义项
+ */
+function pickSense(item, context, url = '') {
+  const senses = withSenses(item).senses;
+  if (senses.length === 1) return senses[0];
+
+  let hostname = '';
+  try {
+    hostname = url ? new URL(url).hostname : '';
+  } catch (error) {
+    // 忽略无效地址
+  }
+
+  const score = (sense) => {
+    let value = contextSimilarity(sense.context, context, item.language);
+    if (url && sense.url === url) {
+      value += 0.5;
+    } else if (hostname && sense.url) {
+      try {
+        if (new URL(sense.url).hostname === hostname) value += 0.2;
+      } catch (error) {
+        // 忽略无效地址
+      }
+    }
+    return value;
+  };
+
+  // 分数相同时使用最近查询的义项
+  return senses.reduce((best, sense) => {
+    const bestScore = score(best);
+    const senseScore = score(sense);
+    if (senseScore > bestScore) return sense;
+    if (senseScore === bestScore && sense.timestamp > best.timestamp) return sense;
+    return best;
+  });
+}
@@ -0,0 +1,199 @@
+/**
+ * 句子翻译面板
+ * 选中整句或整段时代替单词气泡显示：译文、语法讲解，以及可以单独加入生词本的重点词
+ * 只负责面板的显示与关闭，翻译请求和保存生词由 content.js 提供
+ */
+class SentencePanel {
+  constructor() {
+    this.panel = null;
+    this.body = null;
+    this.cleanup = null; // 关闭面板时需要移除的事件监听
+
+    this.handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        this.close();
+      }
+    };
+    this.handleOutsideClick = (event) => {
+      if (this.panel && !event.composedPath().includes(this.panel)) {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * 在选中文本下方显示面板（加载状态）
+   * @param {Object} options
+   * @param {DOMRect} options.rect - 选中文本的位置（视口坐标）
+   * @param {Node} options.container - 面板挂载的容器（页面 body 或浮层）
+   * @param {string} options.text - 原文
+   */
+  show({ rect, container, text }) {
+    this.close();
+
+    const panel = markOwnNode(document.createElement('div'));
+    panel.className = 'sentence-panel';
+    panel.setAttribute('role', 'dialog');
+
+    const header = document.createElement('div');
+    header.className = 'sentence-panel-header';
+    header.innerHTML = '<span>句子翻译</span>';
+    const closeButton = document.createElement('button');
+    closeButton.className = 'sentence-panel-close';
+    closeButton.title = '关闭';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => this.close());
+    header.appendChild(closeButton);
+
+    const source = document.createElement('div');
+    source.className = 'sentence-panel-source';
+    source.textContent = text;
+
+    this.body = document.createElement('div');
+    this.body.className = 'sentence-panel-body loading';
+    this.body.textContent = '正在翻译...';
+
+    panel.append(header, source, this.body);
+    this.open(panel, container, rect);
+  }
+
+  /**
+   * 显示翻译结果
+   * @param {Object} result - { translation, grammar: [{ point, explanation }], words: [...] }
+   * @param {Function} onSaveWord - 点击"加入生词本"时调用，参数为 words 中的一项，返回 Promise<boolean>（是否保存成功）
+   */
+  showResult(result, onSaveWord) {
+    if (!this.panel) return;
+
+    this.body.className = 'sentence-panel-body';
+    this.body.innerHTML = '';
+
+    const translation = document.createElement('div');
+    translation.className = 'sentence-panel-translation';
+    translation.textContent = result.translation;
+    this.body.appendChild(translation);
+
+    const grammar = (result.grammar || []).filter(item => item && item.point);
+    if (grammar.length > 0) {
+      const details = document.createElement('details');
+      details.className = 'sentence-panel-section';
+      details.innerHTML = '<summary>语法讲解</summary>';
+      const list = document.createElement('ul');
+      grammar.forEach(item => {
+        const entry = document.createElement('li');
+        const point = document.createElement('strong');
+        point.textContent = item.point;
+        entry.append(point, document.createTextNode(`：${item.explanation || ''}`));
+        list.appendChild(entry);
+      });
+      details.appendChild(list);
+      this.body.appendChild(details);
+    }
+
+    const words = (result.words || []).filter(item => item && item.word);
+    if (words.length > 0) {
+      const section = document.createElement('div');
+      section.className = 'sentence-panel-section';
+      section.innerHTML = '<div class="sentence-panel-label">重点词</div>';
+      words.forEach(item => {
+        section.appendChild(this.createWordRow(item, onSaveWord));
+      });
+      this.body.appendChild(section);
+    }
+
+    this.keepInViewport();
+  }
+
+  createWordRow(item, onSaveWord) {
+    const row = document.createElement('div');
+    row.className = 'sentence-panel-word';
+
+    const text = document.createElement('span');
+    text.className = 'sentence-panel-word-text';
+    text.textContent = item.phonetic ? `${item.word} ${item.phonetic}` : item.word;
+
+    const translation = document.createElement('span');
+    translation.className = 'sentence-panel-word-translation';
+    translation.textContent = item.translation || '';
+
+    const button = document.createElement('button');
+    button.textContent = '+ 生词本';
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      let saved = false;
+      try {
+        saved = await onSaveWord(item);
+      } catch (error) {
+        saved = false;
+      }
+
+      if (saved) {
+        button.textContent = '已添加';
+      } else {
+        button.textContent = '保存失败，重试';
+        button.disabled = false;
+      }
+    });
+
+    row.append(text, translation, button);
+    return row;
+  }
+
+  /**
+   * @param {string} message - 错误信息
+   */
+  showError(message) {
+    if (!this.panel) return;
+
+    this.body.className = 'sentence-panel-body error';
+    this.body.textContent = message;
+    this.keepInViewport();
+  }
+
+  open(panel, container, rect) {
+    panel.style.left = `${rect.left}px`;
+    panel.style.top = `${rect.bottom + 8}px`;
+    container.appendChild(panel);
+    this.panel = panel;
+    this.keepInViewport();
+
+    // 延迟绑定，避免触发面板的这次点击立即把面板关闭
+    const timer = setTimeout(() => {
+      document.addEventListener('click', this.handleOutsideClick, true);
+    }, 0);
+    document.addEventListener('keydown', this.handleKeyDown, true);
+
+    this.cleanup = () => {
+      clearTimeout(timer);
+      document.removeEventListener('click', this.handleOutsideClick, true);
+      document.removeEventListener('keydown', this.handleKeyDown, true);
+    };
+  }
+
+  /**
+   * 面板超出视口时向内移动
+   */
+  keepInViewport() {
+    if (!this.panel) return;
+
+    const margin = 8;
+    const rect = this.panel.getBoundingClientRect();
+    const left = Math.min(rect.left, window.innerWidth - rect.width - margin);
+    const top = Math.min(rect.top, window.innerHeight - rect.height - margin);
+
+    this.panel.style.left = `${Math.max(margin, left)}px`;
+    this.panel.style.top = `${Math.max(margin, top)}px`;
+  }
+
+  close() {
+    if (this.cleanup) {
+      this.cleanup();
+      this.cleanup = null;
+    }
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+      this.body = null;
+    }
+  }
+}
@@ -0,0 +1,63 @@
+// 站点规则 - 决定插件是否在某个网页上运行
+// content.js 在初始化前检查，popup.js 用于"在此网站暂停"和规则编辑
+
+/**
+ * 把多行文本解析为规则列表（忽略空行和 # 开头的注释）
+ * @param {string} text - 每行一条规则
+ * @returns {Array<string>}
+ */
+function parseSiteRules(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * 判断网址是否匹配一条规则
+ * - 域名（example.com）：匹配该域名及其所有子域名，写了端口（localhost:8080）时只匹配该端口
+ * - 网址模式（*://mail.example.com/*）：* 匹配任意字符
+ * - 不写协议的路径模式（github.com/settings*）：与去掉协议的网址比较
+ * @param {string} url - 网页地址
+ * @param {string} rule - 规则
+ * @returns {boolean}
+ */
+function matchesSiteRule(url, rule) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  const pattern = rule.trim().toLowerCase();
+  if (!pattern) return false;
+
+  if (pattern.includes('/') || pattern.includes('*')) {
+    const regex = new RegExp('^' + pattern.split('*').map(part =>
+      part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    ).join('.*') + '$');
+    // 没有写路径的模式（如 *.example.com）只与域名比较，写了端口时与 域名:端口 比较
+    if (!pattern.includes('/')) return regex.test(pattern.includes(':') ? parsed.host : parsed.hostname);
+    if (pattern.includes('://')) return regex.test(url.toLowerCase());
+    return regex.test((parsed.host + parsed.pathname + parsed.search + parsed.hash).toLowerCase());
+  }
+
+  const hostname = (pattern.includes(':') ? parsed.host : parsed.hostname).toLowerCase();
+  return hostname === pattern || hostname.endsWith(`.${pattern}`);
+}
+
+/**
+ * 根据设置判断插件是否应在该网页上运行
+ * @param {string} url - 网页地址
+ * @param {Object} settings - chrome.storage.sync 中的 settings 对象
+ * @returns {boolean}
+ */
+function isSiteEnabled(url, settings = {}) {
+  if (settings.enabled === false) return false;
+
+  if (settings.siteMode === 'allowlist') {
+    return (settings.allowlist || []).some(rule => matchesSiteRule(url, rule));
+  }
+  return !(settings.blocklist || []).some(rule => matchesSiteRule(url, rule));
+}
@@ -0,0 +1,76 @@
+// 间隔重复调度 - SM-2 算法
+// 复习数据保存在每个生词条目的 review 字段中
+
+/**
+ * 复习时可选的评分，value 为 SM-2 的 0-5 分制
+ */
+const SRS_GRADES = [
+  { value: 1, label: '忘记', className: 'grade-again' },
+  { value: 3, label: '困难', className: 'grade-hard' },
+  { value: 4, label: '良好', className: 'grade-good' },
+  { value: 5, label: '简单', className: 'grade-easy' }
+];
+
+const SRS_MIN_EASE = 1.3;
+const SRS_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 为还没有复习过的生词创建初始复习状态
+ * @returns {Object} 复习状态
+ */
+function createReviewState() {
+  return {
+    ease: 2.5, // 难度系数
+    interval: 0, // 当前间隔（天）
+    repetitions: 0, // 连续答对次数
+    due: Date.now(), // 下次复习时间
+    history: [] // 复习记录 { time, grade, interval }
+  };
+}
+
+/**
+ * 根据评分计算下一次复习时间
+ * @param {Object} review - 当前复习状态（可为空）
+ * @param {number} grade - 评分（0-5）
+ * @param {number} now - 当前时间戳
+ * @returns {Object} 新的复习状态
+ */
+function scheduleReview(review, grade, now = Date.now()) {
+  const state = { ...createReviewState(), ...review };
+  let { ease, interval, repetitions } = state;
+
+  if (grade < 3) {
+    // 回忆失败：重新开始，明天再复习
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * ease);
+    }
+  }
+
+  ease = Math.max(SRS_MIN_EASE, ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval: interval,
+    repetitions: repetitions,
+    due: now + interval * SRS_DAY,
+    history: [...(state.history || []), { time: now, grade: grade, interval: interval }]
+  };
+}
+
+/**
+ * 判断生词是否需要复习（从未复习过的生词视为到期）
+ * @param {Object} item - 生词条目
+ * @param {number} now - 当前时间戳
+ * @returns {boolean}
+ */
+function isReviewDue(item, now = Date.now()) {
+  return !item.review || item.review.due <= now;
+}
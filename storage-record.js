@@ -0,0 +1,40 @@
+// 保存在 chrome.storage.local 中一个键下的数据 - 翻译缓存、token 用量和查询日志共用
+// 内存中保留一份副本，首次访问时从存储加载（service worker 重启后需要重新加载），同时的多次加载只读一次存储
+
+class StorageRecord {
+  /**
+   * @param {string} storageKey - chrome.storage.local 中的键
+   * @param {Function} createEmpty - 存储中没有数据时的初始值，如 () => ({})
+   */
+  constructor(storageKey, createEmpty) {
+    this.storageKey = storageKey;
+    this.createEmpty = createEmpty;
+    this.data = null; // 内存中的副本
+    this.loading = null;
+  }
+
+  /**
+   * @returns {Promise<*>} 内存中的副本，修改后调用 persist 写回存储
+   */
+  async load() {
+    if (this.data) return this.data;
+
+    if (!this.loading) {
+      this.loading = new Promise((resolve) => {
+        chrome.storage.local.get([this.storageKey], (result) => {
+          this.data = result[this.storageKey] || this.createEmpty();
+          this.loading = null;
+          resolve(this.data);
+        });
+      });
+    }
+
+    return this.loading;
+  }
+
+  async persist() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.storageKey]: this.data }, resolve);
+    });
+  }
+}
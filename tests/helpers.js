@@ -0,0 +1,62 @@
+// 测试辅助：在独立的 vm 上下文中加载扩展脚本（与 importScripts 和 <script> 一样共享全局作用域）
+// chrome.storage 用内存对象模拟，回调异步执行
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function createStorageArea(data) {
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+  return {
+    get(keys, callback) {
+      const result = {};
+      [].concat(keys).forEach(key => {
+        if (key in data) result[key] = copy(data[key]);
+      });
+      setTimeout(() => callback(result), 0);
+    },
+    set(items, callback) {
+      Object.assign(data, copy(items));
+      setTimeout(() => callback && callback(), 0);
+    },
+    remove(keys, callback) {
+      [].concat(keys).forEach(key => delete data[key]);
+      setTimeout(() => callback && callback(), 0);
+    }
+  };
+}
+
+/**
+ * 加载扩展脚本
+ * @param {Array<string>} files - 相对仓库根目录的文件名，按依赖顺序
+ * @param {Object} [storage] - { local, sync } 初始存储数据
+ * @returns {Object} vm 上下文，可用 context.run(code) 取得脚本中的全局变量和类
+ */
+function loadScripts(files, storage = {}) {
+  const local = storage.local || {};
+  const sync = storage.sync || {};
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    URL,
+    Intl,
+    DOMException,
+    AbortController,
+    chrome: {
+      storage: { local: createStorageArea(local), sync: createStorageArea(sync) },
+      runtime: {}
+    }
+  });
+
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+
+  context.storage = { local, sync };
+  context.run = (code) => vm.runInContext(code, context);
+  return context;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const context = loadScripts(['languages.js', 'lemmatizer.js', 'vocabulary-matcher.js']);
+const { lemmaKey, VocabularyMatcher } = context.run('({ lemmaKey, VocabularyMatcher })');
+
+test('只有英语按规则还原词形', () => {
+  assert.strictEqual(lemmaKey('running', 'en'), 'run');
+  assert.strictEqual(lemmaKey('ran'), 'run');
+  assert.strictEqual(lemmaKey('bitten', 'de'), 'bitten');
+  assert.strictEqual(lemmaKey('Das Haus', 'de'), 'das haus');
+});
+
+test('德语网页不会把 bitten 匹配到生词 bite', () => {
+  const matcher = new VocabularyMatcher([{ word: 'bite', language: 'en' }, { word: 'Haus', language: 'de' }], 'de');
+  const matches = matcher.match('Wir bitten um Ruhe im Haus.');
+  assert.strictEqual(matches.length, 1);
+  assert.strictEqual(matches[0].text, 'Haus');
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const context = loadScripts(['response-schema.js', 'model-actions.js']);
+const { filterModelActions, summarizeModelActions, parseModelJson, validateSchema, TRANSLATION_SCHEMA } = context.run(
+  '({ filterModelActions, summarizeModelActions, parseModelJson, validateSchema, TRANSLATION_SCHEMA })'
+);
+
+test('function_calls 为 null 的回复通过校验，不会导致查询失败', () => {
+  const response = parseModelJson('{"word":"bank","translation":"n. 银行","explanation":"金融机构","function_calls":null}');
+  assert.strictEqual(validateSchema(response, TRANSLATION_SCHEMA).length, 0);
+  assert.strictEqual(filterModelActions(response.function_calls).length, 0);
+  assert.strictEqual(summarizeModelActions(null).tags.length, 0);
+});
+
+test('丢弃未知的调用和参数无效的调用', () => {
+  const calls = filterModelActions([
+    { name: 'add_tag', arguments: { tag: '金融' } },
+    { name: 'delete_everything', arguments: {} },
+    { name: 'set_register', arguments: { register: 'casual' } }
+  ]);
+  assert.deepStrictEqual(calls.map(call => call.name), ['add_tag']);
+});
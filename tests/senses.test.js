@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const context = loadScripts(['languages.js', 'lemmatizer.js', 'senses.js']);
+const contextSimilarity = context.run('contextSimilarity');
+
+test('上下文相似度只对英语还原词形', () => {
+  assert.strictEqual(contextSimilarity('running dogs', 'ran dog', 'en'), 1);
+  assert.strictEqual(contextSimilarity('bitten Hunde', 'bite Hund', 'de'), 0);
+});
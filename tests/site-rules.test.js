@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const context = loadScripts(['site-rules.js']);
+const { matchesSiteRule, isSiteEnabled } = context.run('({ matchesSiteRule, isSiteEnabled })');
+
+test('不写协议的路径规则与域名和路径比较', () => {
+  assert.strictEqual(matchesSiteRule('https://github.com/settings/x', 'github.com/settings*'), true);
+  assert.strictEqual(matchesSiteRule('https://github.com/settings/x', '*://github.com/settings*'), true);
+  assert.strictEqual(matchesSiteRule('https://github.com/explore', 'github.com/settings*'), false);
+  assert.strictEqual(matchesSiteRule('http://localhost:8080/docs/a', 'localhost:8080/docs/*'), true);
+});
+
+test('域名规则匹配子域名，通配符规则只与域名比较', () => {
+  assert.strictEqual(matchesSiteRule('https://mail.corp.com/inbox', 'corp.com'), true);
+  assert.strictEqual(matchesSiteRule('https://notcorp.com/', 'corp.com'), false);
+  assert.strictEqual(matchesSiteRule('https://wiki.corp.com/a', '*.corp.com'), true);
+});
+
+test('黑名单中的路径规则只暂停对应页面', () => {
+  const settings = { siteMode: 'blocklist', blocklist: ['github.com/settings*'] };
+  assert.strictEqual(isSiteEnabled('https://github.com/settings/keys', settings), false);
+  assert.strictEqual(isSiteEnabled('https://github.com/torvalds/linux', settings), true);
+});
+
+test('写了端口的域名规则只匹配该端口', () => {
+  assert.strictEqual(matchesSiteRule('http://localhost:8080/app', 'localhost:8080'), true);
+  assert.strictEqual(matchesSiteRule('http://localhost:3000/app', 'localhost:8080'), false);
+  assert.strictEqual(matchesSiteRule('http://dev.example.com:8080/', '*.example.com:8080'), true);
+  assert.strictEqual(matchesSiteRule('http://localhost/app', 'localhost'), true);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const context = loadScripts(['storage-record.js', 'usage.js']);
+const { resolveUsageSettings, hasUsagePrice, summarizeUsage } = context.run(
+  '({ resolveUsageSettings, hasUsagePrice, summarizeUsage })'
+);
+
+test('OpenAI 兼容接口默认未设置单价，本地模型默认免费', () => {
+  const usageSettings = resolveUsageSettings({});
+  assert.strictEqual(hasUsagePrice(usageSettings.prices.openai), false);
+  assert.strictEqual(hasUsagePrice(usageSettings.prices.ollama), true);
+  assert.strictEqual(hasUsagePrice(usageSettings.prices.deepseek), true);
+});
+
+test('设置的单价覆盖默认值，未设置单价的用量费用为 0', () => {
+  const usageSettings = resolveUsageSettings({ usage: { prices: { openai: { prompt: 1, completion: 2 } } } });
+  assert.strictEqual(hasUsagePrice(usageSettings.prices.openai), true);
+
+  const usage = { '2024-05-01': { openai: { 'example.com': { requests: 1, prompt: 1e6, completion: 1e6 } } } };
+  assert.strictEqual(summarizeUsage(usage, usageSettings).total.cost, 3);
+  assert.strictEqual(summarizeUsage(usage, resolveUsageSettings({})).total.cost, 0);
+});
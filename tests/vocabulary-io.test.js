@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const context = loadScripts(['languages.js', 'lemmatizer.js', 'senses.js', 'vocabulary-io.js']);
+const { buildCloze, parseVocabularyFile } = context.run('({ buildCloze, parseVocabularyFile })');
+
+test('填空能找到重音字母、中文和日语单词', () => {
+  assert.strictEqual(buildCloze({ word: 'Übung', context: 'Die Übung macht den Meister.' }), 'Die {{c1::Übung}} macht den Meister.');
+  assert.strictEqual(buildCloze({ word: '银行', context: '我去银行取钱。' }), '我去{{c1::银行}}取钱。');
+  assert.strictEqual(buildCloze({ word: '食べる', context: 'りんごを食べる。' }), 'りんごを{{c1::食べる}}。');
+});
+
+test('填空按词形还原匹配变形和词组', () => {
+  assert.strictEqual(buildCloze({ word: 'run', context: 'She ran home.' }), 'She {{c1::ran}} home.');
+  assert.strictEqual(buildCloze({ word: 'take off', context: 'The plane takes off now.' }), 'The plane {{c1::takes off}} now.');
+});
+
+test('上下文中只有包含该单词的长词时只挖空单词本身', () => {
+  assert.strictEqual(buildCloze({ word: 'cat', context: 'Concatenate the strings.' }), '{{c1::cat}}');
+});
+
+test('非英语单词的填空只匹配原形', () => {
+  assert.strictEqual(buildCloze({ word: 'bite', language: 'de', context: 'Wir bitten um Ruhe.' }), '{{c1::bite}}');
+  assert.strictEqual(buildCloze({ word: 'bitten', language: 'de', context: 'Wir bitten um Ruhe.' }), 'Wir {{c1::bitten}} um Ruhe.');
+});
+
+test('导入 JSON 时丢弃无效的义项并补全默认值', () => {
+  const [item] = parseVocabularyFile(JSON.stringify([{
+    word: 'bank',
+    translation: 'n. 银行',
+    senses: ['bad', null, { translation: 42 }, { id: 's1', translation: 'n. 河岸', context: 7, lookupCount: 'x' }],
+    review: 'soon'
+  }]), 'words.json');
+
+  assert.strictEqual(item.senses.length, 1);
+  assert.strictEqual(item.senses[0].id, 's1');
+  assert.strictEqual(item.senses[0].context, '7');
+  assert.strictEqual(item.senses[0].lookupCount, 1);
+  assert.strictEqual(item.translation, 'n. 河岸');
+  assert.strictEqual(item.lookupCount, 1);
+  assert.strictEqual(item.createdAt, item.timestamp);
+  assert.strictEqual(item.review, undefined);
+});
+
+test('导入没有义项的条目时由顶层字段生成义项', () => {
+  const [item] = parseVocabularyFile('word,translation,context\nrun,v. 跑,"I run daily."', 'words.csv');
+  assert.strictEqual(item.senses.length, 1);
+  assert.strictEqual(item.senses[0].translation, 'v. 跑');
+  assert.strictEqual(item.senses[0].context, 'I run daily.');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const STORE_SCRIPTS = ['languages.js', 'lemmatizer.js', 'senses.js', 'vocabulary-io.js', 'migrations.js', 'vocabulary-store.js'];
+
+function createStore(vocabulary) {
+  const context = loadScripts(STORE_SCRIPTS, { local: { schema_version: 3, vocabulary: vocabulary } });
+  return { context, store: context.run('new VocabularyStore()') };
+}
+
+test('导入时合并只补全空字段，并写入第一个义项', async () => {
+  const { context, store } = createStore([{
+    word: 'bank',
+    translation: 'n. 河岸',
+    explanation: '',
+    context: '',
+    senses: [{ id: 's1', translation: 'n. 河岸', explanation: '', context: '', url: '', timestamp: 1, lookupCount: 1 }]
+  }]);
+
+  await store.import([
+    { word: 'bank', translation: 'n. 银行', explanation: 'river side', context: 'by the bank' }
+  ], { bank: 'merge' });
+
+  const [item] = context.storage.local.vocabulary;
+  assert.strictEqual(item.translation, 'n. 河岸');
+  assert.strictEqual(item.explanation, 'river side');
+  assert.strictEqual(item.context, 'by the bank');
+  assert.strictEqual(item.senses.length, 1);
+  assert.strictEqual(item.senses[0].explanation, 'river side');
+  assert.strictEqual(item.senses[0].context, 'by the bank');
+});
+
+test('导入时替换使用导入的字段', async () => {
+  const { context, store } = createStore([{
+    word: 'bank',
+    translation: 'n. 河岸',
+    explanation: 'old',
+    context: 'old context',
+    senses: [{ id: 's1', translation: 'n. 河岸', explanation: 'old', context: 'old context', url: '', timestamp: 1, lookupCount: 1 }]
+  }]);
+
+  await store.import([
+    { word: 'bank', translation: 'n. 银行', explanation: 'money', context: 'a bank account' }
+  ], { bank: 'replace' });
+
+  const [item] = context.storage.local.vocabulary;
+  assert.strictEqual(item.translation, 'n. 银行');
+  assert.strictEqual(item.senses[0].translation, 'n. 银行');
+  assert.strictEqual(item.senses[0].explanation, 'money');
+});
+
+test('非英语单词不按英文规则还原，不同的德语单词分别保存', async () => {
+  const { context, store } = createStore([]);
+
+  await store.add({ word: 'bitten', translation: 'v. 请求', context: 'Wir bitten um Ruhe.', language: 'de', timestamp: 1 });
+  await store.add({ word: 'bite', translation: 'n. 一口', context: 'Take a bite.', language: 'en', timestamp: 2 });
+  await store.add({ word: 'das', translation: 'art. 这个', context: 'Das ist gut.', language: 'de', timestamp: 3 });
+
+  const words = context.storage.local.vocabulary.map(item => item.word).sort();
+  assert.strictEqual(JSON.stringify(words), JSON.stringify(['bite', 'bitten', 'das']));
+  assert.strictEqual((await store.find('bites', 'en')).word, 'bite');
+  assert.strictEqual(await store.find('bitte', 'de'), null);
+});
+
+test('同时保存同一个单词的新上下文只新增一个义项', async () => {
+  const { context, store } = createStore([{
+    word: 'bank',
+    translation: 'n. 银行',
+    senses: [{ id: 's1', translation: 'n. 银行', explanation: '', context: 'money in the bank', url: '', timestamp: 1, lookupCount: 1 }]
+  }]);
+  // 与 background.js 的 findMatchingSense 一样：上下文相同时匹配已有义项
+  const matchSense = async (item, data) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const sense = item.senses.find(sense => sense.context === data.context);
+    return sense ? sense.id : null;
+  };
+  const data = { word: 'bank', translation: 'n. 河岸', context: 'sat on the river bank', timestamp: 2 };
+
+  await Promise.all([store.add(data, matchSense), store.add({ ...data, timestamp: 3 }, matchSense)]);
+
+  const [item] = context.storage.local.vocabulary;
+  assert.strictEqual(item.senses.length, 2);
+  assert.strictEqual(item.senses[1].lookupCount, 2);
+});
@@ -0,0 +1,113 @@
+// 翻译缓存 - 避免重复查询同一上下文中的同一单词
+// 由 background.js 通过 importScripts 引入，数据保存在 chrome.storage.local（读写见 storage-record.js）
+
+class TranslationCache extends StorageRecord {
+  constructor(options = {}) {
+    super('translation_cache', () => ({})); // 缓存键 → 条目
+    this.ttl = options.ttl || 30 * 24 * 60 * 60 * 1000; // 缓存有效期，默认30天
+    this.maxEntries = options.maxEntries || 500; // 最多保留的条目数，超出后按LRU淘汰
+  }
+
+  /**
+   * 生成缓存键：语言组合 + 规范化的单词 + 上下文哈希
+   * @param {string} word - 查询的单词
+   * @param {string} context - 单词所在的上下文
+   * @param {string} [scope] - 语言组合和提示词模板，切换语言或修改模板后不会读到旧的翻译
+   * @returns {string} 缓存键
+   */
+  buildKey(word, context, scope = '') {
+    const normalizedWord = word.trim().toLowerCase().replace(/\s+/g, ' ');
+    const normalizedContext = (context || '').trim().replace(/\s+/g, ' ');
+    return `${scope}|${normalizedWord}|${this.hashString(normalizedContext)}`;
+  }
+
+  /**
+   * FNV-1a 32位哈希，只用于生成紧凑的缓存键
+   * @param {string} text - 要哈希的字符串
+   * @returns {string} 十六进制哈希值
+   */
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * 读取缓存，命中时刷新最近访问时间
+   * @returns {Promise<Object|null>} 缓存的翻译数据
+   */
+  async get(word, context, scope) {
+    const entries = await this.load();
+    const key = this.buildKey(word, context, scope);
+    const entry = entries[key];
+
+    if (!entry) return null;
+
+    if (Date.now() - entry.createdAt > this.ttl) {
+      delete entries[key];
+      await this.persist();
+      return null;
+    }
+
+    entry.lastAccess = Date.now();
+    await this.persist();
+    return entry.data;
+  }
+
+  async set(word, context, data, scope) {
+    const entries = await this.load();
+    const now = Date.now();
+
+    entries[this.buildKey(word, context, scope)] = {
+      data: data,
+      createdAt: now,
+      lastAccess: now
+    };
+
+    this.evict();
+    await this.persist();
+  }
+
+  /**
+   * 清除过期条目，并按最近访问时间淘汰超出上限的条目
+   */
+  evict() {
+    const now = Date.now();
+    const keys = Object.keys(this.data);
+
+    keys.forEach(key => {
+      if (now - this.data[key].createdAt > this.ttl) {
+        delete this.data[key];
+      }
+    });
+
+    const remaining = Object.keys(this.data);
+    if (remaining.length <= this.maxEntries) return;
+
+    remaining
+      .sort((a, b) => this.data[a].lastAccess - this.data[b].lastAccess)
+      .slice(0, remaining.length - this.maxEntries)
+      .forEach(key => delete this.data[key]);
+  }
+
+  async clear() {
+    this.data = {};
+    await this.persist();
+  }
+
+  /**
+   * 获取缓存统计信息
+   * @returns {Promise<Object>} 条目数、占用字节数和上限
+   */
+  async getStats() {
+    const entries = await this.load();
+    return {
+      count: Object.keys(entries).length,
+      bytes: new Blob([JSON.stringify(entries)]).size,
+      maxEntries: this.maxEntries
+    };
+  }
+}
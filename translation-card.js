@@ -0,0 +1,309 @@
+/**
+ * 翻译卡片 - 代替气泡的 title 提示
+ * 鼠标悬停或键盘聚焦时预览，点击、回车或空格固定显示；Esc、关闭按钮或点击外部关闭
+ * 只负责卡片的显示与关闭，卡片内容由 content.js 在显示时提供
+ */
+class TranslationCard {
+  constructor() {
+    this.card = null;
+    this.anchor = null; // 当前卡片对应的气泡
+    this.pinned = false; // 点击后固定显示，鼠标移开也不关闭
+    this.showTimer = null;
+    this.hideTimer = null;
+    this.hoverDelay = 300; // 悬停多久后显示（毫秒）
+    this.cleanup = null;
+
+    this.handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        const anchor = this.anchor;
+        this.close();
+        anchor?.focus();
+      }
+    };
+    this.handleOutsideClick = (event) => {
+      const path = event.composedPath();
+      if (this.card && !path.includes(this.card) && !path.includes(this.anchor)) {
+        this.close();
+      }
+    };
+    this.handleScroll = (event) => {
+      if (this.card && !event.composedPath?.().includes(this.card)) {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * 为气泡绑定卡片
+   * @param {HTMLElement} element - 气泡元素
+   * @param {Function} getContent - 返回 { container, data }，data 见 render()；返回 null 时不显示
+   */
+  attach(element, getContent) {
+    element.tabIndex = 0;
+    element.setAttribute('role', 'button');
+    element.setAttribute('aria-haspopup', 'dialog');
+    element.setAttribute('aria-expanded', 'false');
+
+    const show = (pinned) => {
+      const content = getContent();
+      if (content) this.show(element, content, pinned);
+    };
+
+    element.addEventListener('mouseenter', () => {
+      clearTimeout(this.hideTimer);
+      if (this.anchor === element) return;
+      clearTimeout(this.showTimer);
+      this.showTimer = setTimeout(() => show(false), this.hoverDelay);
+    });
+    element.addEventListener('mouseleave', () => {
+      clearTimeout(this.showTimer);
+      this.scheduleHide();
+    });
+    element.addEventListener('focus', () => {
+      if (this.anchor !== element) show(false);
+    });
+    element.addEventListener('blur', (event) => {
+      // 焦点移入卡片（如关闭按钮）时保留
+      if (!this.pinned && !this.card?.contains(event.relatedTarget)) {
+        this.close();
+      }
+    });
+    element.addEventListener('click', (event) => {
+      // 气泡上的关闭按钮不打开卡片
+      if (event.target.closest('.bubble-close')) return;
+      event.stopPropagation();
+      clearTimeout(this.showTimer);
+      if (this.anchor === element && this.pinned) {
+        this.close();
+      } else {
+        show(true);
+      }
+    });
+    element.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        show(true);
+        this.card?.querySelector('.translation-card-close')?.focus();
+      }
+    });
+  }
+
+  /**
+   * @param {HTMLElement} anchor - 气泡元素
+   * @param {Object} content - { container, data }
+   * @param {boolean} pinned - 是否固定显示
+   */
+  show(anchor, { container, data }, pinned) {
+    if (this.anchor === anchor && this.card) {
+      this.pinned = this.pinned || pinned;
+      return;
+    }
+
+    this.close();
+
+    const card = markOwnNode(document.createElement('div'));
+    card.className = 'translation-card';
+    card.setAttribute('role', 'dialog');
+    card.setAttribute('aria-label', `${data.word} 的翻译`);
+    this.render(card, data);
+
+    card.addEventListener('mouseenter', () => clearTimeout(this.hideTimer));
+    card.addEventListener('mouseleave', () => this.scheduleHide());
+
+    container.appendChild(card);
+    this.card = card;
+    this.anchor = anchor;
+    this.pinned = pinned;
+    anchor.setAttribute('aria-expanded', 'true');
+    this.position();
+    this.bindDismiss();
+  }
+
+  /**
+   * 填充卡片内容
+   * @param {HTMLElement} card - 卡片元素
+   * @param {Object} data - { word, surface, phonetic, partOfSpeech, translation, explanation,
+   *                          context: [{ text, highlight }], savedAt, lookupCount, onSpeak }
+   */
+  render(card, data) {
+    const header = document.createElement('div');
+    header.className = 'translation-card-header';
+
+    const word = document.createElement('span');
+    word.className = 'translation-card-word';
+    word.textContent = data.surface && data.surface.toLowerCase() !== data.word.toLowerCase()
+      ? `${data.surface} → ${data.word}`
+      : data.word;
+    header.appendChild(word);
+
+    if (data.phonetic) {
+      const phonetic = document.createElement('span');
+      phonetic.className = 'translation-card-phonetic';
+      phonetic.textContent = data.phonetic;
+      header.appendChild(phonetic);
+    }
+
+    if (data.onSpeak) {
+      const speakButton = document.createElement('button');
+      speakButton.className = 'translation-card-speak';
+      speakButton.setAttribute('aria-label', '朗读');
+      speakButton.textContent = '🔊';
+      speakButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        data.onSpeak();
+      });
+      header.appendChild(speakButton);
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'translation-card-close';
+    closeButton.setAttribute('aria-label', '关闭');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      const anchor = this.anchor;
+      this.close();
+      anchor?.focus();
+    });
+    header.appendChild(closeButton);
+    card.appendChild(header);
+
+    const translation = document.createElement('div');
+    translation.className = 'translation-card-translation';
+    if (data.partOfSpeech) {
+      const pos = document.createElement('span');
+      pos.className = 'translation-card-pos';
+      pos.textContent = data.partOfSpeech;
+      translation.appendChild(pos);
+    }
+    translation.appendChild(document.createTextNode(data.translation || ''));
+    card.appendChild(translation);
+
+    if (data.explanation) {
+      const explanation = document.createElement('div');
+      explanation.className = 'translation-card-explanation';
+      explanation.textContent = data.explanation;
+      card.appendChild(explanation);
+    }
+
+    // 模型通过函数调用给出的语体、标签、"假朋友"和相关词
+    if (data.register || (data.tags && data.tags.length > 0)) {
+      const labels = document.createElement('div');
+      labels.className = 'translation-card-labels';
+      [data.register, ...(data.tags || [])].filter(Boolean).forEach(text => {
+        const label = document.createElement('span');
+        label.className = 'translation-card-label';
+        label.textContent = text;
+        labels.appendChild(label);
+      });
+      card.appendChild(labels);
+    }
+
+    if (data.falseFriend) {
+      const falseFriend = document.createElement('div');
+      falseFriend.className = 'translation-card-false-friend';
+      falseFriend.textContent = `⚠ 假朋友：${data.falseFriend}`;
+      card.appendChild(falseFriend);
+    }
+
+    if (data.relatedWords && data.relatedWords.length > 0) {
+      const related = document.createElement('div');
+      related.className = 'translation-card-related';
+      related.textContent = `相关词：${data.relatedWords.join(', ')}`;
+      card.appendChild(related);
+    }
+
+    if (data.context && data.context.length > 0) {
+      const context = document.createElement('blockquote');
+      context.className = 'translation-card-context';
+      data.context.forEach(part => {
+        if (part.highlight) {
+          const mark = document.createElement('mark');
+          mark.textContent = part.text;
+          context.appendChild(mark);
+        } else {
+          context.appendChild(document.createTextNode(part.text));
+        }
+      });
+      card.appendChild(context);
+    }
+
+    const meta = [];
+    if (data.savedAt) meta.push(`首次保存于 ${new Date(data.savedAt).toLocaleString()}`);
+    if (data.lookupCount) meta.push(`查询 ${data.lookupCount} 次`);
+    if (meta.length > 0) {
+      const footer = document.createElement('div');
+      footer.className = 'translation-card-meta';
+      footer.textContent = meta.join(' · ');
+      card.appendChild(footer);
+    }
+  }
+
+  /**
+   * 显示在气泡下方，空间不足时显示在上方
+   */
+  position() {
+    if (!this.card || !this.anchor) return;
+
+    const margin = 8;
+    const anchorRect = this.anchor.getBoundingClientRect();
+    const cardRect = this.card.getBoundingClientRect();
+
+    let top = anchorRect.bottom + 6;
+    if (top + cardRect.height > window.innerHeight - margin) {
+      top = anchorRect.top - cardRect.height - 6;
+    }
+    const left = Math.min(anchorRect.left, window.innerWidth - cardRect.width - margin);
+
+    this.card.style.left = `${Math.max(margin, left)}px`;
+    this.card.style.top = `${Math.max(margin, top)}px`;
+  }
+
+  bindDismiss() {
+    document.addEventListener('click', this.handleOutsideClick, true);
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    window.addEventListener('scroll', this.handleScroll, { capture: true, passive: true });
+    window.addEventListener('resize', this.handleScroll, { passive: true });
+
+    this.cleanup = () => {
+      document.removeEventListener('click', this.handleOutsideClick, true);
+      document.removeEventListener('keydown', this.handleKeyDown, true);
+      window.removeEventListener('scroll', this.handleScroll, { capture: true });
+      window.removeEventListener('resize', this.handleScroll);
+    };
+  }
+
+  scheduleHide() {
+    if (this.pinned) return;
+
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => this.close(), this.hoverDelay);
+  }
+
+  /**
+   * 气泡被移除（重新扫描、保存后移除翻译气泡）时关闭卡片
+   */
+  closeIfDetached() {
+    if (this.anchor && !this.anchor.isConnected) {
+      this.close();
+    }
+  }
+
+  close() {
+    clearTimeout(this.showTimer);
+    clearTimeout(this.hideTimer);
+    if (this.cleanup) {
+      this.cleanup();
+      this.cleanup = null;
+    }
+    if (this.card) {
+      this.card.remove();
+      this.card = null;
+    }
+    if (this.anchor) {
+      this.anchor.setAttribute('aria-expanded', 'false');
+      this.anchor = null;
+    }
+    this.pinned = false;
+  }
+}
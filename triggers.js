@@ -0,0 +1,36 @@
+// 翻译触发方式 - content.js、popup.js 和 background.js 共用
+// 所有触发方式最终都交给 content.js 的 showTranslationBubble 处理
+
+const DEFAULT_TRIGGERS = {
+  doubleClick: true, // 双击选中后单击
+  shortcut: true, // chrome.commands 快捷键翻译当前选中
+  modifierClick: false, // 按住修饰键点击单词
+  contextMenu: true // 浏览器右键菜单
+};
+
+const DEFAULT_CLICK_MODIFIER = 'alt';
+
+const TRANSLATE_COMMAND = 'translate-selection'; // manifest.json 中的命令名
+const TRANSLATE_MENU_ID = 'goodbye-word-translate'; // 右键菜单项ID
+
+/**
+ * 读取设置中的触发方式，未设置的项使用默认值
+ * @param {Object} settings - chrome.storage.sync 中的 settings 对象
+ * @returns {Object} 与 DEFAULT_TRIGGERS 结构相同
+ */
+function resolveTriggers(settings = {}) {
+  return { ...DEFAULT_TRIGGERS, ...(settings.triggers || {}) };
+}
+
+/**
+ * 判断事件是否按下了设置中的修饰键
+ * @param {MouseEvent} event - 鼠标事件
+ * @param {string} modifier - 'alt' 或 'ctrl'（macOS 上 ctrl 同时接受 ⌘）
+ * @returns {boolean}
+ */
+function isModifierPressed(event, modifier = DEFAULT_CLICK_MODIFIER) {
+  if (modifier === 'ctrl') {
+    return event.ctrlKey || event.metaKey;
+  }
+  return event.altKey;
+}
@@ -0,0 +1,182 @@
+// 用量统计与预算 - background.js 和 popup.js 共用
+// 每次请求的 token 用量按 日期 → 提供方 → 网站 汇总保存在 chrome.storage.local 的 usage 中，
+// 费用按设置中的单价估算；超出每日或每月预算后 background.js 只使用缓存和生词本，不再请求翻译服务
+
+const DEFAULT_USAGE_SETTINGS = {
+  currency: '¥',
+  // 每百万 tokens 的单价，本地模型不收费；OpenAI 兼容接口的价格因服务而异，默认未设置（null）
+  prices: {
+    deepseek: { prompt: 2, completion: 8 },
+    openai: { prompt: null, completion: null },
+    ollama: { prompt: 0, completion: 0 }
+  },
+  dailyBudget: 0, // 0 表示不限
+  monthlyBudget: 0
+};
+
+const USAGE_RETENTION_DAYS = 400; // 超过此天数的记录在写入时删除
+
+/**
+ * 读取设置中的用量配置，未设置的项使用默认值
+ * @param {Object} settings - chrome.storage.sync 中的 settings 对象
+ * @returns {Object} 与 DEFAULT_USAGE_SETTINGS 结构相同
+ */
+function resolveUsageSettings(settings = {}) {
+  const stored = settings.usage || {};
+  const prices = {};
+  Object.entries(DEFAULT_USAGE_SETTINGS.prices).forEach(([providerId, defaults]) => {
+    prices[providerId] = { ...defaults, ...((stored.prices || {})[providerId] || {}) };
+  });
+  return { ...DEFAULT_USAGE_SETTINGS, ...stored, prices: prices };
+}
+
+/**
+ * @param {number} [time] - 时间戳
+ * @returns {string} 本地日期，如 2024-05-01
+ */
+function usageDateKey(time = Date.now()) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @param {string} url - 网页地址
+ * @returns {string} 域名，无效地址（如设置页的连接测试）为空字符串
+ */
+function usageSite(url) {
+  try {
+    return url ? new URL(url).hostname : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * @param {Object} [price] - { prompt, completion } 每百万 tokens 的单价
+ * @returns {boolean} 是否设置了单价（0 表示免费，也算已设置）
+ */
+function hasUsagePrice(price) {
+  return Boolean(price) && [price.prompt, price.completion].some(value => value !== null && value !== undefined && value !== '');
+}
+
+/**
+ * 按单价估算费用，未设置的单价按 0 计算
+ * @param {Object} counts - { prompt, completion } token 数
+ * @param {Object} [price] - { prompt, completion } 每百万 tokens 的单价
+ * @returns {number} 费用
+ */
+function estimateUsageCost(counts, price) {
+  if (!price) return 0;
+  return (counts.prompt * (Number(price.prompt) || 0) + counts.completion * (Number(price.completion) || 0)) / 1e6;
+}
+
+function createUsageCounts() {
+  return { requests: 0, prompt: 0, completion: 0, cost: 0 };
+}
+
+function addUsageCounts(target, counts, cost) {
+  target.requests += counts.requests;
+  target.prompt += counts.prompt;
+  target.completion += counts.completion;
+  target.cost += cost;
+}
+
+/**
+ * 汇总日期范围内的用量
+ * @param {Object} usage - 存储的用量：{ 日期: { 提供方: { 网站: { requests, prompt, completion } } } }
+ * @param {Object} usageSettings - resolveUsageSettings 的结果
+ * @param {Function} [includeDay] - (日期) => 是否计入
+ * @returns {Object} { total, byDay, byProvider, bySite }，每项为 { requests, prompt, completion, cost }
+ */
+function summarizeUsage(usage, usageSettings, includeDay = () => true) {
+  const summary = { total: createUsageCounts(), byDay: {}, byProvider: {}, bySite: {} };
+
+  Object.entries(usage || {}).forEach(([day, providers]) => {
+    if (!includeDay(day)) return;
+    Object.entries(providers).forEach(([providerId, sites]) => {
+      Object.entries(sites).forEach(([site, counts]) => {
+        const cost = estimateUsageCost(counts, usageSettings.prices[providerId]);
+        summary.byDay[day] = summary.byDay[day] || createUsageCounts();
+        summary.byProvider[providerId] = summary.byProvider[providerId] || createUsageCounts();
+        summary.bySite[site] = summary.bySite[site] || createUsageCounts();
+        [summary.total, summary.byDay[day], summary.byProvider[providerId], summary.bySite[site]].forEach(target => {
+          addUsageCounts(target, counts, cost);
+        });
+      });
+    });
+  });
+
+  return summary;
+}
+
+/**
+ * 检查是否超出预算
+ * @param {Object} usage - 存储的用量
+ * @param {Object} usageSettings - resolveUsageSettings 的结果
+ * @param {number} [now] - 当前时间
+ * @returns {Object|null} 超出的预算 { period: 'daily' | 'monthly', spent, budget }，未超出时为 null
+ */
+function checkUsageBudget(usage, usageSettings, now = Date.now()) {
+  const today = usageDateKey(now);
+  const budgets = [
+    { period: 'daily', budget: Number(usageSettings.dailyBudget) || 0, includeDay: (day) => day === today },
+    { period: 'monthly', budget: Number(usageSettings.monthlyBudget) || 0, includeDay: (day) => day.slice(0, 7) === today.slice(0, 7) }
+  ];
+
+  for (const { period, budget, includeDay } of budgets) {
+    if (budget <= 0) continue;
+    const spent = summarizeUsage(usage, usageSettings, includeDay).total.cost;
+    if (spent >= budget) return { period, spent, budget };
+  }
+  return null;
+}
+
+/**
+ * @param {number} amount - 费用
+ * @param {string} currency - 货币符号
+ * @returns {string} 如 ¥0.0123，金额很小时保留更多小数
+ */
+function formatUsageCost(amount, currency) {
+  return `${currency}${amount.toFixed(amount > 0 && amount < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * 用量记录 - 只由 background.js 写入
+ */
+class UsageTracker extends StorageRecord {
+  constructor() {
+    super('usage', () => ({})); // 日期 → 提供方 → 网站 → 用量
+  }
+
+  /**
+   * 记录一次请求的用量
+   * @param {string} providerId - 提供方ID
+   * @param {string} site - 发起请求的网站域名
+   * @param {Object} [usage] - 接口返回的 usage（prompt_tokens、completion_tokens），没有时只记请求次数
+   */
+  async record(providerId, site, usage) {
+    const entries = await this.load();
+    const day = usageDateKey();
+    entries[day] = entries[day] || {};
+    entries[day][providerId] = entries[day][providerId] || {};
+    const counts = entries[day][providerId][site] || { requests: 0, prompt: 0, completion: 0 };
+
+    counts.requests += 1;
+    counts.prompt += (usage && usage.prompt_tokens) || 0;
+    counts.completion += (usage && usage.completion_tokens) || 0;
+    entries[day][providerId][site] = counts;
+
+    const oldest = usageDateKey(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    Object.keys(entries).forEach(key => {
+      if (key < oldest) delete entries[key];
+    });
+
+    await this.persist();
+  }
+
+  async clear() {
+    this.data = {};
+    await this.persist();
+  }
+}
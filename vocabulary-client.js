@@ -0,0 +1,82 @@
+// 生词本客户端 - content.js 和 popup.js 通过它读写生词本
+// 生词本由 background.js 的 VocabularyStore 统一管理，这里只负责发送消息
+
+class VocabularyClient {
+  /**
+   * 向 background 发送生词本操作
+   * @param {string} operation - query / add / update / delete / clear / import
+   * @param {Object} payload - 操作参数
+   * @returns {Promise<*>} 操作结果
+   */
+  request(operation, payload = {}) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: 'vocabulary', operation: operation, ...payload }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response && response.success) {
+          resolve(response.data);
+        } else {
+          reject(new Error(response?.error || '生词本操作失败'));
+        }
+      });
+    });
+  }
+
+  /**
+   * @returns {Promise<Array>} 生词列表
+   */
+  query() {
+    return this.request('query');
+  }
+
+  /**
+   * 保存查询结果（已存在时更新并累加查询次数）
+   * @param {Object} item - 翻译数据
+   * @returns {Promise<Object>} { item, created }
+   */
+  add(item) {
+    return this.request('add', { item: item });
+  }
+
+  /**
+   * @param {string} word - 单词
+   * @param {Object} changes - 要修改的字段
+   * @returns {Promise<Object|null>}
+   */
+  update(word, changes) {
+    return this.request('update', { word: word, changes: changes });
+  }
+
+  /**
+   * @param {Array<string>} words - 要删除的单词
+   * @returns {Promise<number>}
+   */
+  remove(words) {
+    return this.request('delete', { words: words });
+  }
+
+  clear() {
+    return this.request('clear');
+  }
+
+  /**
+   * @param {Array} items - 规范化后的导入条目
+   * @param {Object} resolutions - 冲突处理方式
+   * @returns {Promise<number>} 新增的数量
+   */
+  import(items, resolutions) {
+    return this.request('import', { items: items, resolutions: resolutions });
+  }
+
+  /**
+   * 订阅生词本变化（任何标签页或弹窗修改后都会收到）
+   * @param {Function} callback - 参数为 { type, words, fields }
+   */
+  subscribe(callback) {
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.action === 'vocabularyUpdated') {
+        callback(message.change || {});
+      }
+    });
+  }
+}
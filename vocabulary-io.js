@@ -0,0 +1,298 @@
+// 生词本导入导出 - JSON（完整数据）、CSV 和 Anki 可导入的 TSV
+
+const VOCABULARY_EXPORT_FORMAT = 'goodbye-word-vocabulary';
+const VOCABULARY_EXPORT_VERSION = 1;
+const VOCABULARY_CSV_COLUMNS = ['word', 'phonetic', 'translation', 'explanation', 'context', 'timestamp'];
+
+/**
+ * 生词的去重键，与 VocabularyStore 查找单词的规则一致（lemmatizer.js 的 lemmaKey，按条目的语言还原）
+ * @param {Object} item - 生词条目（word 和 language）
+ * @returns {string}
+ */
+function vocabularyKey(item) {
+  return lemmaKey(item.word, item.language);
+}
+
+/**
+ * 导出为 JSON，保留复习记录等全部字段
+ * @param {Array} vocabulary - 生词列表
+ * @returns {string}
+ */
+function exportVocabularyJSON(vocabulary) {
+  return JSON.stringify({
+    format: VOCABULARY_EXPORT_FORMAT,
+    version: VOCABULARY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    vocabulary: vocabulary
+  }, null, 2);
+}
+
+function escapeCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 导出为 CSV（首行为列名）
+ * @param {Array} vocabulary - 生词列表
+ * @returns {string}
+ */
+function exportVocabularyCSV(vocabulary) {
+  const rows = vocabulary.map(item =>
+    VOCABULARY_CSV_COLUMNS.map(column => escapeCsvField(item[column])).join(',')
+  );
+  return [VOCABULARY_CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * 把上下文中的单词替换为 Anki 填空 {{c1::word}}，上下文中找不到单词时只挖空单词本身
+ * 与 VocabularyMatcher 一样按条目的语言分词和还原，重音字母、日语和中文以及英文的变形（ran → run）都能找到
+ * @param {Object} item - 生词条目（含 language）
+ * @returns {string}
+ */
+function buildCloze(item) {
+  const context = item.context || '';
+  const keys = segmentWords(item.word, item.language).map(word => lemmatizeWord(word.text, item.language));
+  const tokens = segmentWords(context, item.language);
+
+  for (let i = 0; keys.length > 0 && i + keys.length <= tokens.length; i++) {
+    if (keys.every((key, offset) => lemmatizeWord(tokens[i + offset].text, item.language) === key)) {
+      const start = tokens[i].start;
+      const end = tokens[i + keys.length - 1].end;
+      return `${context.slice(0, start)}{{c1::${context.slice(start, end)}}}${context.slice(end)}`;
+    }
+  }
+  return `{{c1::${item.word}}}`;
+}
+
+/**
+ * 导出为 Anki 可直接导入的 TSV（填空题笔记类型：Text、Back Extra 两个字段）
+ * @param {Array} vocabulary - 生词列表
+ * @returns {string}
+ */
+function exportVocabularyAnki(vocabulary) {
+  const clean = text => String(text || '').replace(/[\t\r\n]+/g, ' ').trim();
+
+  const rows = vocabulary.map(item => {
+    const back = [item.translation, item.phonetic, item.explanation].filter(Boolean).join(' | ');
+    return [clean(buildCloze(item)), clean(back)].join('\t');
+  });
+
+  return ['#separator:tab', '#html:false', '#notetype:Cloze', ...rows].join('\n');
+}
+
+/**
+ * 解析 CSV 文本（支持引号内的逗号、换行和转义的双引号）
+ * @param {string} text - CSV 文本
+ * @returns {Array<Array<string>>} 行列表
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * @param {*} value - 导入文件中的时间戳
+ * @returns {number|null} 有效的时间戳
+ */
+function importedTimestamp(value) {
+  const timestamp = Number(value);
+  return Number.isFinite(timestamp) && timestamp > 0 ? timestamp : null;
+}
+
+/**
+ * 规范化导入的义项，丢弃不是对象或没有翻译的义项
+ * @param {*} raw - 原始义项
+ * @param {number} timestamp - 义项没有时间时使用的时间
+ * @returns {Object|null}
+ */
+function normalizeImportedSense(raw, timestamp) {
+  if (!raw || typeof raw !== 'object' || typeof raw.translation !== 'string' || !raw.translation.trim()) return null;
+
+  const sense = createSense({
+    translation: raw.translation.trim(),
+    explanation: String(raw.explanation || ''),
+    context: String(raw.context || ''),
+    url: String(raw.url || ''),
+    timestamp: importedTimestamp(raw.timestamp) || timestamp
+  });
+  if (typeof raw.id === 'string' && raw.id) sense.id = raw.id;
+  sense.lookupCount = Math.max(1, Math.floor(Number(raw.lookupCount)) || 1);
+  return sense;
+}
+
+/**
+ * 规范化导入的条目，丢弃缺少单词或翻译的行
+ * JSON 中的其他字段原样保留，义项、复习记录、首次保存时间和查询次数经过校验或补全默认值
+ * @param {Object} raw - 原始条目
+ * @returns {Object|null}
+ */
+function normalizeImportedItem(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const word = String(raw.word || '').trim();
+  const translation = String(raw.translation || '').trim();
+  if (!word || !translation) return null;
+
+  const timestamp = importedTimestamp(raw.timestamp) || Date.now();
+  const senses = (Array.isArray(raw.senses) ? raw.senses : [])
+    .map(sense => normalizeImportedSense(sense, timestamp))
+    .filter(Boolean);
+  const item = {
+    ...raw,
+    word: word,
+    translation: translation,
+    phonetic: String(raw.phonetic || ''),
+    explanation: String(raw.explanation || ''),
+    context: String(raw.context || ''),
+    timestamp: timestamp,
+    createdAt: importedTimestamp(raw.createdAt) || timestamp,
+    lookupCount: Math.max(1, Math.floor(Number(raw.lookupCount)) || 1),
+    senses: senses
+  };
+  if (!item.review || typeof item.review !== 'object') delete item.review;
+
+  // 没有有效义项时由顶层字段生成；有义项时顶层字段与第一个义项保持一致
+  return syncPrimarySense(withSenses(item));
+}
+
+/**
+ * 解析导入文件，根据扩展名或内容判断格式
+ * @param {string} text - 文件内容
+ * @param {string} filename - 文件名
+ * @returns {Array} 规范化后的生词列表
+ */
+function parseVocabularyFile(text, filename = '') {
+  const content = text.replace(/^\uFEFF/, '').trim();
+  let items;
+
+  if (/\.json$/i.test(filename) || content.startsWith('{') || content.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error('JSON 格式错误');
+    }
+    items = Array.isArray(data) ? data : data?.vocabulary;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON 中没有找到生词列表');
+    }
+  } else {
+    const [header, ...rows] = parseCsv(content);
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    if (!columns.includes('word') || !columns.includes('translation')) {
+      throw new Error('CSV 首行必须包含 word 和 translation 列');
+    }
+    items = rows.map(row => {
+      const item = {};
+      columns.forEach((column, index) => {
+        item[column] = row[index] || '';
+      });
+      return item;
+    });
+  }
+
+  return items.map(normalizeImportedItem).filter(Boolean);
+}
+
+/**
+ * 对比现有生词与导入生词，生成导入预览
+ * @param {Array} existing - 现有生词列表
+ * @param {Array} incoming - 导入的生词列表
+ * @returns {Object} { added, conflicts, unchanged }
+ */
+function planVocabularyImport(existing, incoming) {
+  const existingByKey = new Map(existing.map(item => [vocabularyKey(item), item]));
+  const seen = new Set();
+  const plan = { added: [], conflicts: [], unchanged: [] };
+
+  incoming.forEach(item => {
+    const key = vocabularyKey(item);
+    if (seen.has(key)) return; // 导入文件内部的重复项只保留第一个
+    seen.add(key);
+
+    const current = existingByKey.get(key);
+    if (!current) {
+      plan.added.push(item);
+    } else if (current.translation === item.translation &&
+               (current.explanation || '') === (item.explanation || '') &&
+               (current.context || '') === (item.context || '')) {
+      plan.unchanged.push(item);
+    } else {
+      plan.conflicts.push({ key: key, existing: current, incoming: item });
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * 按冲突处理方式合并生词
+ * - keep: 保留现有条目
+ * - replace: 使用导入的条目（保留现有的复习记录，除非导入条目自带）
+ * - merge: 保留现有条目，只补全其中为空的字段
+ * @param {Array} existing - 现有生词列表
+ * @param {Object} plan - planVocabularyImport 的结果
+ * @param {Object} resolutions - 以去重键为key的处理方式
+ * @returns {Array} 合并后的生词列表
+ */
+function applyVocabularyImport(existing, plan, resolutions = {}) {
+  const result = existing.map(item => {
+    const conflict = plan.conflicts.find(c => c.key === vocabularyKey(item));
+    if (!conflict) return item;
+
+    const resolution = resolutions[conflict.key] || 'keep';
+    if (resolution === 'replace') {
+      return { ...conflict.incoming, review: conflict.incoming.review || item.review };
+    }
+    if (resolution === 'merge') {
+      const merged = { ...item };
+      Object.keys(conflict.incoming).forEach(field => {
+        if (merged[field] === undefined || merged[field] === '') {
+          merged[field] = conflict.incoming[field];
+        }
+      });
+      return merged;
+    }
+    return item;
+  });
+
+  return [...plan.added, ...result];
+}
@@ -0,0 +1,112 @@
+/**
+ * 生词匹配器 - 基于单词的前缀树（trie）
+ * 生词本变化时重建一次，之后每个文本节点只需一次遍历即可找出所有生词（包括词组）
+ * 英文单词按 lemmatizer.js 还原后再比较，因此 running、ran、runs 都会匹配到生词 run；其他语言按小写的原形比较
+ * 分词使用 languages.js 的 segmentWords，日语、中文等不用空格的文字也能切分出单词
+ */
+class VocabularyMatcher {
+  /**
+   * @param {Array} vocabulary - 生词列表
+   * @param {string} [language] - 网页文本的语言代码（正在学习的语言）
+   */
+  constructor(vocabulary = [], language) {
+    this.root = this.createNode();
+    this.size = 0;
+    this.language = language;
+
+    // 已标记为掌握的单词和其他语言的单词不再高亮
+    vocabulary
+      .filter(item => !item.known && (!language || !item.language || item.language === language))
+      .forEach(item => this.add(item));
+  }
+
+  createNode() {
+    return { children: new Map(), entry: null };
+  }
+
+  /**
+   * 把文本切分为单词，key 为还原后的词根
+   * @param {string} text - 文本
+   * @param {string} [language] - 文本的语言代码
+   * @returns {Array<Object>} { text, key, start, end }
+   */
+  static tokenize(text, language) {
+    return segmentWords(text, language).map(word => ({
+      ...word,
+      key: lemmatizeWord(word.text, language)
+    }));
+  }
+
+  /**
+   * 添加一个生词，按单词序列插入前缀树
+   * @param {Object} item - 生词条目
+   */
+  add(item) {
+    const tokens = VocabularyMatcher.tokenize(item.word || '', this.language);
+    if (tokens.length === 0) return;
+
+    let node = this.root;
+    tokens.forEach(token => {
+      if (!node.children.has(token.key)) {
+        node.children.set(token.key, this.createNode());
+      }
+      node = node.children.get(token.key);
+    });
+
+    if (!node.entry) {
+      this.size++;
+    }
+    node.entry = item;
+  }
+
+  /**
+   * 词组中相邻单词之间只允许空白、连字符或撇号；日语等不用空格的文字中单词直接相连
+   * @param {string} gap - 两个单词之间的文本
+   * @returns {boolean}
+   */
+  isPhraseGap(gap) {
+    return gap.length <= 3 && /^[\s\-'’]*$/.test(gap);
+  }
+
+  /**
+   * 在文本中查找所有生词，同一位置优先匹配最长的词组，结果互不重叠
+   * @param {string} text - 文本
+   * @returns {Array<Object>} { start, end, text, data }，text 为页面上的原始形式，按出现顺序排列
+   */
+  match(text) {
+    if (this.size === 0) return [];
+
+    const tokens = VocabularyMatcher.tokenize(text, this.language);
+    const matches = [];
+    let i = 0;
+
+    while (i < tokens.length) {
+      let node = this.root;
+      let lastEntry = null;
+      let lastIndex = i;
+
+      for (let j = i; j < tokens.length; j++) {
+        if (j > i && !this.isPhraseGap(text.substring(tokens[j - 1].end, tokens[j].start))) break;
+
+        node = node.children.get(tokens[j].key);
+        if (!node) break;
+
+        if (node.entry) {
+          lastEntry = node.entry;
+          lastIndex = j;
+        }
+      }
+
+      if (lastEntry) {
+        const start = tokens[i].start;
+        const end = tokens[lastIndex].end;
+        matches.push({ start: start, end: end, text: text.substring(start, end), data: lastEntry });
+        i = lastIndex + 1;
+      } else {
+        i++;
+      }
+    }
+
+    return matches;
+  }
+}
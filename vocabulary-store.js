@@ -0,0 +1,237 @@
+// 生词本存储 - 只在 background.js 中使用（通过 importScripts 引入）
+// 所有读写都经过同一个队列依次执行，多个标签页同时保存也不会互相覆盖
+// 每次修改后通知所有标签页和扩展页面（弹窗），见 vocabulary-client.js
+
+class VocabularyStore {
+  constructor() {
+    this.storageKey = 'vocabulary';
+    this.items = null; // 内存中的生词列表，首次访问时从存储加载
+    this.queue = Promise.resolve();
+    this.listeners = [];
+  }
+
+  /**
+   * 把任务加入队列，前一个任务完成（无论成功失败）后才开始
+   * @param {Function} task - 返回 Promise 的函数
+   * @returns {Promise} 任务的结果
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * 从存储中加载生词本；只在队列中调用，先等待尚未完成的存储迁移，避免读到迁移前的数据
+   * @returns {Promise<Array>} 生词列表
+   */
+  async load() {
+    if (this.items) return this.items;
+
+    await runStorageMigrations();
+    const result = await new Promise((resolve) => {
+      chrome.storage.local.get([this.storageKey], resolve);
+    });
+    this.items = result[this.storageKey] || [];
+    return this.items;
+  }
+
+  /**
+   * 写入存储并通知订阅者
+   * @param {Object} change - { type, words, fields }，fields 为 update 修改的字段（只在 update 方法中提供）
+   */
+  async commit(change) {
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [this.storageKey]: this.items }, resolve);
+    });
+    this.listeners.forEach(listener => listener(change));
+  }
+
+  /**
+   * @param {Function} listener - 每次修改后调用，参数为 { type, words, fields }
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * 按词形还原查找单词；条目按自己的语言还原（旧条目没有 language，视为默认的学习语言）
+   * @param {string} word - 单词
+   * @param {string} [language] - 指定时只查找该语言的条目（没有 language 的旧条目也算）
+   * @returns {number} 下标，不存在时为 -1
+   */
+  findIndex(word, language) {
+    return this.items.findIndex(item =>
+      (!language || !item.language || item.language === language) &&
+      lemmaKey(item.word, item.language || language) === lemmaKey(word, item.language || language)
+    );
+  }
+
+  /**
+   * @returns {Promise<Array>} 生词列表的副本
+   */
+  query() {
+    return this.enqueue(async () => {
+      const items = await this.load();
+      return items.map(item => ({ ...item }));
+    });
+  }
+
+  /**
+   * @param {string} word - 单词（按词形还原查找）
+   * @param {string} [language] - 单词的语言
+   * @returns {Promise<Object|null>} 条目的副本
+   */
+  find(word, language) {
+    return this.enqueue(async () => {
+      await this.load();
+      const index = this.findIndex(word, language);
+      return index === -1 ? null : withSenses({ ...this.items[index] });
+    });
+  }
+
+  /**
+   * 保存一次查询结果：新单词加到开头；已存在（按词形还原）时累加查询次数，
+   * 并记到 matchSense 找出的义项上，没有对应义项时新增一个义项
+   * 查找、判断义项和写入在同一个队列任务中完成，同时保存同一个单词（如两个标签页）不会新增重复的义项
+   * @param {Object} data - 翻译数据（含 context、url）
+   * @param {Function} [matchSense] - async (已有条目的副本, data) => 意思相同的义项 id，都不相同时为 null
+   * @returns {Promise<Object>} { item, created }
+   */
+  add(data, matchSense = null) {
+    return this.enqueue(async () => {
+      await this.load();
+      const index = this.findIndex(data.word, data.language);
+      let item;
+
+      if (index !== -1) {
+        // 保留原有数据（复习进度、笔记、其他义项等）
+        const existing = withSenses(this.items[index]);
+        const senseId = matchSense ? await matchSense({ ...existing }, data) : null;
+        const senses = [...existing.senses];
+        const senseIndex = senses.findIndex(sense => sense.id === senseId);
+
+        if (senseIndex !== -1) {
+          const sense = senses[senseIndex];
+          senses[senseIndex] = {
+            ...sense,
+            timestamp: data.timestamp,
+            lookupCount: (sense.lookupCount || 1) + 1
+          };
+        } else {
+          senses.push(createSense(data));
+        }
+
+        item = syncPrimarySense({
+          ...existing,
+          senses: senses,
+          phonetic: data.phonetic || existing.phonetic,
+          language: existing.language || data.language,
+          // 模型函数调用给出的字段，见 model-actions.js
+          tags: [...new Set([...(existing.tags || []), ...(data.tags || [])])],
+          register: data.register || existing.register,
+          relatedWords: data.relatedWords?.length ? data.relatedWords : existing.relatedWords,
+          falseFriend: data.falseFriend || existing.falseFriend,
+          timestamp: data.timestamp, // 更新时间戳
+          createdAt: existing.createdAt || existing.timestamp, // 首次保存时间不变
+          lookupCount: (existing.lookupCount || 1) + 1
+        });
+        this.items[index] = item;
+      } else {
+        const { url, ...fields } = data;
+        item = syncPrimarySense({
+          ...fields,
+          senses: [createSense(data)],
+          createdAt: data.timestamp,
+          lookupCount: 1
+        });
+        this.items.unshift(item);
+      }
+
+      await this.commit({ type: index === -1 ? 'add' : 'update', words: [item.word] });
+      return { item: item, created: index === -1 };
+    });
+  }
+
+  /**
+   * 修改一个生词的部分字段
+   * changes.sense 为 { id, ...字段 } 时修改该义项（如编辑某个义项的翻译）
+   * @param {string} word - 单词（按词形还原查找）
+   * @param {Object} changes - 要合并的字段
+   * @returns {Promise<Object|null>} 修改后的条目，不存在时为 null
+   */
+  update(word, changes) {
+    return this.enqueue(async () => {
+      await this.load();
+      const index = this.findIndex(word);
+      if (index === -1) return null;
+
+      const { sense: senseChanges, ...fields } = changes;
+      const item = withSenses({ ...this.items[index], ...fields });
+      if (senseChanges) {
+        item.senses = item.senses.map(sense =>
+          sense.id === senseChanges.id ? { ...sense, ...senseChanges } : sense
+        );
+      }
+      this.items[index] = syncPrimarySense(item);
+      await this.commit({ type: 'update', words: [this.items[index].word], fields: Object.keys(changes) });
+      return this.items[index];
+    });
+  }
+
+  /**
+   * @param {Array<string>} words - 要删除的单词
+   * @returns {Promise<number>} 删除的数量
+   */
+  remove(words) {
+    return this.enqueue(async () => {
+      await this.load();
+      const before = this.items.length;
+      this.items = this.items.filter(item =>
+        !words.some(word => lemmaKey(word, item.language) === lemmaKey(item.word, item.language))
+      );
+
+      const removed = before - this.items.length;
+      if (removed > 0) {
+        await this.commit({ type: 'delete', words: words });
+      }
+      return removed;
+    });
+  }
+
+  clear() {
+    return this.enqueue(async () => {
+      this.items = [];
+      await this.commit({ type: 'clear', words: [] });
+    });
+  }
+
+  /**
+   * 导入生词：在队列中按当前数据重新计算导入计划，再按冲突处理方式合并
+   * @param {Array} incoming - 规范化后的导入条目
+   * @param {Object} resolutions - 冲突处理方式，key 为 vocabularyKey
+   * @returns {Promise<number>} 新增的数量
+   */
+  import(incoming, resolutions) {
+    return this.enqueue(async () => {
+      await this.load();
+      const plan = planVocabularyImport(this.items, incoming);
+      // 合并或替换修改的是顶层字段，写回第一个义项
+      this.items = applyVocabularyImport(this.items, plan, resolutions).map(syncTopLevelToSense);
+      await this.commit({ type: 'import', words: plan.added.map(item => item.word) });
+      return plan.added.length;
+    });
+  }
+
+  /**
+   * 在队列中执行存储迁移：迁移期间不会有其他读写，完成后丢弃内存副本，
+   * 之前加载的数据不会覆盖迁移结果
+   * @returns {Promise<void>}
+   */
+  migrate() {
+    return this.enqueue(async () => {
+      await runStorageMigrations();
+      this.items = null;
+    });
+  }
+}